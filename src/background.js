@@ -1,10 +1,21 @@
 /**
  * background.js
  * 
- * Service Worker for LinguaFlix
- * Handles extension installation and opens settings page
+ * Service Worker for LinguaFlix (ES module)
+ * Handles extension installation, opens settings page and serves requests
+ * relayed from Netflix tabs that need the extension's IndexedDB
+ * (offline dictionary lookups, vocabulary notebook)
  */
 
+import { lookupHeadword } from './lib/dictionary-store.js';
+import { addEntry } from './lib/notebook-store.js';
+
+// Handlers for chrome.runtime messages: { type, ...payload } → result
+const MESSAGE_HANDLERS = {
+  lookupWord: ({ word, language }) => lookupHeadword(word, language),
+  saveNotebookEntry: ({ entry }) => addEntry(entry || {})
+};
+
 chrome.runtime.onInstalled.addListener(({ reason }) => {
   if (reason === 'install') {
     // Open settings page on first install
@@ -12,3 +23,18 @@ chrome.runtime.onInstalled.addListener(({ reason }) => {
     console.log('[LinguaFlix] Extension installed. Opening settings page...');
   }
 });
+
+chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+  const handler = Object.hasOwn(MESSAGE_HANDLERS, message?.type) ? MESSAGE_HANDLERS[message.type] : null;
+  if (!handler) return false;
+
+  Promise.resolve()
+    .then(() => handler(message))
+    .then(result => sendResponse({ ok: true, result }))
+    .catch(err => {
+      console.error('[LinguaFlix] Request failed:', message.type, err);
+      sendResponse({ ok: false, error: String(err?.message || err) });
+    });
+
+  return true; // Keep the channel open for the async response
+});
@@ -0,0 +1,147 @@
+/**
+ * bridge-relay.js
+ *
+ * Runs in ISOLATED world (has access to chrome.storage and chrome.runtime)
+ * Relays requests from MAIN world modules (see modules/extension-bridge.js)
+ * to extension APIs and posts the result back via window.postMessage
+ *
+ * Only the request types listed in REQUEST_HANDLERS are accepted:
+ * the page can post messages too, so nothing generic (e.g. raw storage access) is exposed
+ *
+ * Reverse direction: chrome.tabs.sendMessage requests from extension pages whose type
+ * is in PAGE_REQUEST_TYPES are forwarded to the MAIN world handlers and answered
+ */
+
+(() => {
+  const PAGE_SOURCE = 'linguaflix-page';
+  const RELAY_SOURCE = 'linguaflix-relay';
+  const RELAY_REQUEST_SOURCE = 'linguaflix-relay-request';
+  const PAGE_RESPONSE_SOURCE = 'linguaflix-page-response';
+  const PAGE_REQUEST_TIMEOUT_MS = 5000;
+  const MAX_SEEN_LANGUAGES = 300; // Subtitle languages remembered for the options page language list
+  const LANGUAGE_TAG_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i;
+
+  // Requests from extension pages answered by the MAIN world (modules/extension-bridge.js)
+  const PAGE_REQUEST_TYPES = ['listSubtitleTracks', 'exportSubtitles', 'getDensityProfile', 'getOverlayStatus'];
+  const pendingPageRequests = new Map(); // id → { sendResponse, timer }
+  let nextPageRequestId = 1;
+
+  const REQUEST_HANDLERS = {
+    /**
+     * Persist a dragged overlay position
+     * @param {{mode: string, position: {x: number, y: number}|null}} payload
+     */
+    async saveOverlayPosition({ mode, position }) {
+      if (mode !== 'windowed' && mode !== 'fullscreen') {
+        throw new Error('Invalid overlay mode: ' + mode);
+      }
+      const { overlayPositions = {} } = await chrome.storage.local.get('overlayPositions');
+      if (position && Number.isFinite(position.x) && Number.isFinite(position.y)) {
+        overlayPositions[mode] = { x: position.x, y: position.y };
+      } else {
+        delete overlayPositions[mode];
+      }
+      await chrome.storage.local.set({ overlayPositions });
+    },
+
+    /**
+     * Look a word up in the imported offline dictionaries (background service worker)
+     * @param {{word: string, language: string}} payload
+     * @returns {Promise<Array>} Matching entries
+     */
+    lookupWord({ word, language }) {
+      if (typeof word !== 'string' || !word.trim()) return [];
+      return sendToBackground({ type: 'lookupWord', word, language: String(language || '') });
+    },
+
+    /**
+     * Remember the subtitle languages Netflix offers (options page language list)
+     * Stored in chrome.storage.local as seenLanguages: { [bcp47]: { displayName, lastSeen } };
+     * the least recently seen ones are dropped beyond MAX_SEEN_LANGUAGES
+     * @param {{languages: Array<{bcp47: string, displayName: string}>}} payload
+     */
+    async recordSeenLanguages({ languages }) {
+      if (!Array.isArray(languages)) throw new Error('Invalid language list');
+      const { seenLanguages = {} } = await chrome.storage.local.get('seenLanguages');
+      const lastSeen = Date.now();
+      for (const { bcp47, displayName } of languages.slice(0, MAX_SEEN_LANGUAGES)) {
+        if (typeof bcp47 !== 'string' || !LANGUAGE_TAG_PATTERN.test(bcp47)) continue;
+        seenLanguages[bcp47] = { displayName: String(displayName || '').slice(0, 100), lastSeen };
+      }
+
+      const kept = Object.entries(seenLanguages)
+        .sort(([, a], [, b]) => b.lastSeen - a.lastSeen)
+        .slice(0, MAX_SEEN_LANGUAGES);
+      await chrome.storage.local.set({ seenLanguages: Object.fromEntries(kept) });
+    },
+
+    /**
+     * Save a line to the vocabulary notebook
+     * @param {{entry: Object}} payload - Entry fields (see lib/notebook-store.js)
+     * @returns {Promise<Object>} Stored entry
+     */
+    saveNotebookEntry({ entry }) {
+      if (!entry || typeof entry !== 'object') throw new Error('Invalid notebook entry');
+      return sendToBackground({ type: 'saveNotebookEntry', entry });
+    }
+  };
+
+  /**
+   * Forward a request to the background service worker (which owns IndexedDB)
+   * @param {Object} message - { type, ...payload }
+   * @returns {Promise<any>} Handler result
+   */
+  async function sendToBackground(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response?.ok) throw new Error(response?.error || 'Background request failed: ' + message.type);
+    return response.result;
+  }
+
+  window.addEventListener('message', async (event) => {
+    const message = event.data;
+    if (event.source !== window || message?.source !== PAGE_SOURCE || !message.id) return;
+
+    const handler = Object.hasOwn(REQUEST_HANDLERS, message.type) ? REQUEST_HANDLERS[message.type] : null;
+    const response = { source: RELAY_SOURCE, id: message.id };
+
+    try {
+      if (!handler) throw new Error('Unknown request type: ' + message.type);
+      response.result = await handler(message.payload || {});
+      response.ok = true;
+    } catch (err) {
+      console.error('[LinguaFlix] Bridge request failed:', message.type, err);
+      response.ok = false;
+      response.error = String(err?.message || err);
+    }
+
+    window.postMessage(response, window.location.origin);
+  });
+
+  chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+    if (!PAGE_REQUEST_TYPES.includes(message?.type)) return false;
+
+    const id = `relay-${Date.now()}-${nextPageRequestId++}`;
+    const timer = setTimeout(() => {
+      pendingPageRequests.delete(id);
+      sendResponse({ ok: false, error: 'The Netflix page did not answer (is a title playing?)' });
+    }, PAGE_REQUEST_TIMEOUT_MS);
+
+    pendingPageRequests.set(id, { sendResponse, timer });
+    window.postMessage({ source: RELAY_REQUEST_SOURCE, id, type: message.type, payload: message.payload || {} }, window.location.origin);
+    return true; // Answered asynchronously
+  });
+
+  window.addEventListener('message', (event) => {
+    const message = event.data;
+    if (event.source !== window || message?.source !== PAGE_RESPONSE_SOURCE) return;
+
+    const pending = pendingPageRequests.get(message.id);
+    if (!pending) return;
+
+    pendingPageRequests.delete(message.id);
+    clearTimeout(pending.timer);
+    pending.sendResponse({ ok: !!message.ok, result: message.result, error: message.error });
+  });
+
+  console.log('[LinguaFlix] Bridge relay ready');
+})();
@@ -8,8 +8,17 @@
 console.log('[LinguaFlix] Content script starting...');
 
 const scriptUrl = document.currentScript?.src || '';
-let SubtitleParser, SubtitleDisplay, NavigationDetector, VideoDetector, PlaybackDetector, PlayerAPIConnector, SubtitleFetcher, Settings;
+let SubtitleParser, SubtitleDisplay, NavigationDetector, VideoDetector, PlaybackDetector, PlayerAPIConnector, SubtitleFetcher, Settings,
+  PlaybackClock, KeyboardShortcuts, ExtensionBridge, WordPopup, AutoPause, LineLoop, AdaptiveSpeed, SilenceSkip, TranscriptPanel, CueAlignment,
+  LanguageNames, LanguageTags;
 let userSettings = null; // Store loaded settings
+let activeSession = null; // { video, playerSession, audioLanguage, overlayLanguage, secondOverlayLanguage, overlayLanguages, overlayPreference, overlayAvailable, displayMode, overlayToggle, peeking } while a title is playing
+let overlayTracking = null; // Unsubscribes cue tracking while the overlay follows playback
+let transcriptCache = null; // { sourceCues, overlayCues, transcript } last rows built for the transcript panel
+let overlaySwitching = false; // Overlay tracks are being re-picked after an audio switch
+let audioCheckTimer = null; // Polls the audio track while a title is open (autoLanguageRoles)
+const DENSITY_BUCKET_MS = 60000; // Dialogue density profile resolution (popup chart)
+const AUDIO_CHECK_INTERVAL_MS = 1000; // Automatic language roles: audio track polling (playing or paused)
 
 async function loadModules() {
   console.log('[LinguaFlix] Loading modules via dynamic import...');
@@ -23,10 +32,24 @@ async function loadModules() {
     import(`${baseUrl}/modules/playback-detector.js`),
     import(`${baseUrl}/modules/player-api-connector.js`),
     import(`${baseUrl}/modules/subtitle-fetcher.js`),
-    import(`${baseUrl}/modules/settings.js`)
+    import(`${baseUrl}/modules/settings.js`),
+    import(`${baseUrl}/modules/playback-clock.js`),
+    import(`${baseUrl}/modules/keyboard-shortcuts.js`),
+    import(`${baseUrl}/modules/extension-bridge.js`),
+    import(`${baseUrl}/modules/word-popup.js`),
+    import(`${baseUrl}/modules/auto-pause.js`),
+    import(`${baseUrl}/modules/line-loop.js`),
+    import(`${baseUrl}/modules/adaptive-speed.js`),
+    import(`${baseUrl}/modules/silence-skip.js`),
+    import(`${baseUrl}/modules/transcript-panel.js`),
+    import(`${baseUrl}/modules/cue-alignment.js`),
+    import(`${baseUrl}/modules/language-names.js`),
+    import(`${baseUrl}/modules/language-tags.js`)
   ]);
 
-  [SubtitleParser, SubtitleDisplay, NavigationDetector, VideoDetector, PlaybackDetector, PlayerAPIConnector, SubtitleFetcher, Settings] = modules;
+  [SubtitleParser, SubtitleDisplay, NavigationDetector, VideoDetector, PlaybackDetector, PlayerAPIConnector, SubtitleFetcher, Settings,
+    PlaybackClock, KeyboardShortcuts, ExtensionBridge, WordPopup, AutoPause, LineLoop, AdaptiveSpeed, SilenceSkip, TranscriptPanel, CueAlignment,
+    LanguageNames, LanguageTags] = modules;
 
   // Load user settings
   userSettings = await Settings.getSettings();
@@ -38,6 +61,12 @@ async function loadModules() {
 function start() {
   console.log('[LinguaFlix] Orchestrator start()');
 
+  // Requests from the extension popup (answered for whatever title is playing)
+  ExtensionBridge.registerPageHandler('listSubtitleTracks', listSubtitleTracks);
+  ExtensionBridge.registerPageHandler('exportSubtitles', exportSubtitles);
+  ExtensionBridge.registerPageHandler('getDensityProfile', getDensityProfile);
+  ExtensionBridge.registerPageHandler('getOverlayStatus', getOverlayStatus);
+
   NavigationDetector.setupRouteDetection((newUrl) => {
     console.log('[LinguaFlix] Route changed:', newUrl);
     cleanup();
@@ -89,43 +118,33 @@ async function armVideoFlow() {
 
       SubtitleFetcher.setupSubtitleFetching(api.playerSession);
 
-      // Get overlay language and CC preference from settings
-      const overlayLanguage = userSettings?.overlayLanguage || 'pl';
-      const preferClosedCaptions = userSettings?.preferClosedCaptions || false;
-      const tracks = PlayerAPIConnector.getSubtitleTracks(overlayLanguage, preferClosedCaptions);
-
-      if (tracks.overlay) {
-        await SubtitleFetcher.triggerOverlaySubtitleFetch(tracks.overlay, tracks.current, overlayLanguage);
-      } else {
-        console.warn(`[LinguaFlix] Overlay subtitles (${overlayLanguage}) not available`);
-      }
-
-      PlaybackDetector.setupPlaybackDetection(
+      const audioLanguage = PlayerAPIConnector.getCurrentAudioTrack()?.bcp47 || null;
+      activeSession = {
         video,
-        () => {
-          const timeMs = video.currentTime * 1000;
-          const cache = SubtitleFetcher.getSubtitleCache();
-          const videoId = api.playerSession.getMovieId?.() || 'unknown';
-
-          // Fuzzy cache lookup: find key starting with "videoId_overlayLanguage"
-          const keyPrefix = `${videoId}_${overlayLanguage}`;
-          const cacheKey = Object.keys(cache).find(key => key.startsWith(keyPrefix));
-
-          if (!cacheKey) {
-            console.warn(`[LinguaFlix] Cache key not found for prefix "${keyPrefix}". Available keys: ${Object.keys(cache).join(', ')}`);
-          }
-
-          const cues = cacheKey ? cache[cacheKey] : [];
-
-          const cue = SubtitleParser.findCueAt(timeMs, cues);
-          if (cue?.text?.trim()) {
-            SubtitleDisplay.showSubtitle(cue.text);
-          } else {
-            SubtitleDisplay.hideSubtitle();
-          }
-        },
-        () => SubtitleDisplay.hideSubtitle()
-      );
+        playerSession: api.playerSession,
+        audioLanguage,       // Audio track the overlay languages were picked for (autoLanguageRoles)
+        ...await loadOverlayTracks(api.playerSession, audioLanguage),
+        displayMode: userSettings?.displayMode || 'pause',
+        overlayToggle: null, // null = follow displayMode; 'shown' | 'hidden' set by the toggle shortcut
+        peeking: false       // Peek key held
+      };
+
+      SubtitleDisplay.configureOverlay({
+        appearance: userSettings,
+        positions: userSettings?.overlayPositions,
+        onPositionChange: saveOverlayPosition,
+        autoPlacement: userSettings?.autoPlacement ?? true,
+        onWordClick: userSettings?.interactiveOverlay ? WordPopup.showWordPopup : null
+      });
+
+      PlaybackDetector.setupPlaybackDetection(video, handlePause, handlePlay);
+      setupDisplayMode();
+      setupLearningMode();
+      setupAdaptiveSpeed();
+      setupSilenceSkip();
+      setupTranscriptPanel();
+      setupLanguageRoles();
+      announceOverlayLanguage();
 
       console.log('[LinguaFlix] Subtitle system initialized ✓');
     } catch (err) {
@@ -134,10 +153,771 @@ async function armVideoFlow() {
   });
 }
 
+/**
+ * Pick the overlay tracks for the settings and audio track, and load the ones not cached yet
+ * Overlay languages are tried in order of preference (CC preference from settings): the first
+ * language the title offers is used (the next one too with showSecondOverlay)
+ * @param {Object} playerSession - Netflix player session
+ * @param {string|null} audioLanguage - bcp47 of the audio track
+ * @returns {Promise<{overlayLanguage: string, secondOverlayLanguage: string|null, overlayLanguages: string[],
+ *   overlayPreference: string|null, overlayAvailable: boolean}>} Overlay fields of activeSession
+ */
+async function loadOverlayTracks(playerSession, audioLanguage) {
+  const overlayLanguages = getOverlayLanguagePreference(audioLanguage);
+  const preferClosedCaptions = userSettings?.preferClosedCaptions || false;
+  const tracks = PlayerAPIConnector.getSubtitleTracks(overlayLanguages, preferClosedCaptions);
+  recordSeenLanguages(tracks.all);
+  const shownOverlays = tracks.overlays.slice(0, userSettings?.showSecondOverlay ? 2 : 1);
+
+  const videoId = playerSession.getMovieId?.() || 'unknown';
+  for (const { language, track } of shownOverlays) {
+    // Tracks loaded earlier (e.g. before an audio switch) are not switched to again
+    if (SubtitleFetcher.getCachedCues(videoId, language).length) continue;
+    await SubtitleFetcher.triggerOverlaySubtitleFetch(track, tracks.current, language);
+  }
+  if (!shownOverlays.length) {
+    console.warn(`[LinguaFlix] Overlay subtitles (${overlayLanguages.join(', ')}) not available`);
+  }
+
+  return {
+    // bcp47 of the tracks shown (the configured entries may be 'pt-BR*' style preferences)
+    overlayLanguage: shownOverlays[0]?.language || LanguageTags.parseLanguagePreference(overlayLanguages[0])?.tag || 'pl',
+    secondOverlayLanguage: shownOverlays[1]?.language || null,
+    overlayLanguages,    // As configured, for the fallback notices
+    overlayPreference: shownOverlays[0]?.preference || null, // Entry of overlayLanguages in use
+    overlayAvailable: shownOverlays.length > 0
+  };
+}
+
+/**
+ * Overlay languages to try, in order: the language picked for the audio track
+ * (autoLanguageRoles) or overlayLanguage, then overlayFallbackLanguages
+ * @param {string|null} audioLanguage - bcp47 of the audio track
+ * @returns {string[]} Language codes without duplicates
+ */
+function getOverlayLanguagePreference(audioLanguage) {
+  const fallbacks = Array.isArray(userSettings?.overlayFallbackLanguages) ? userSettings.overlayFallbackLanguages : [];
+  const first = getRoleLanguage(audioLanguage) || userSettings?.overlayLanguage || 'pl';
+  return [...new Set([first, ...fallbacks].filter(Boolean))];
+}
+
+/**
+ * Automatic language roles: the native language while the audio is in the target
+ * language, the target language while the audio is native
+ * @param {string|null} audioLanguage - bcp47 of the audio track
+ * @returns {string|null} Language preference (any variant, preferably the configured one),
+ *   or null when the roles don't apply (mode off, languages not set, or audio in another language)
+ */
+function getRoleLanguage(audioLanguage) {
+  const { autoLanguageRoles, nativeLanguage, targetLanguage } = userSettings || {};
+  if (!autoLanguageRoles || !audioLanguage || !nativeLanguage || !targetLanguage) return null;
+
+  if (LanguageTags.sameLanguage(audioLanguage, targetLanguage)) return `${nativeLanguage}*`;
+  if (LanguageTags.sameLanguage(audioLanguage, nativeLanguage)) return `${targetLanguage}*`;
+  return null;
+}
+
+/**
+ * Remember the subtitle languages this title offers: the options page lists them
+ * @param {Array} trackList - Netflix timed text tracks
+ */
+function recordSeenLanguages(trackList) {
+  const languages = trackList
+    .filter(track => track?.bcp47 && !track.isNoneTrack)
+    .map(track => ({ bcp47: track.bcp47, displayName: track.displayName || '' }));
+  if (!languages.length) return;
+
+  ExtensionBridge.sendToExtension('recordSeenLanguages', { languages })
+    .catch(err => console.warn('[LinguaFlix] Failed to record subtitle languages:', err));
+}
+
+/**
+ * Whether the overlay shows a fallback language (the preferred one is not offered for this title)
+ */
+function isFallbackOverlay() {
+  return !!activeSession?.overlayAvailable && activeSession.overlayPreference !== activeSession.overlayLanguages[0];
+}
+
+/**
+ * Tell the viewer when the overlay falls back to another language, or has none at all
+ */
+function announceOverlayLanguage() {
+  if (!activeSession.overlayAvailable) {
+    SubtitleDisplay.showToast(Settings.getMessage('overlayUnavailable', 'None of your overlay languages is available for this title'));
+  } else if (isFallbackOverlay()) {
+    console.log(`[LinguaFlix] Overlay falls back to ${activeSession.overlayLanguage}`);
+    SubtitleDisplay.showToast(`${Settings.getMessage('overlayFallbackInUse', 'Preferred overlay language not available, showing')} ${LanguageNames.getLanguageName(activeSession.overlayLanguage)}`);
+  }
+}
+
+/**
+ * Automatic language roles: follow audio track switches mid-episode
+ * The audio track is checked every AUDIO_CHECK_INTERVAL_MS, also while paused
+ * (the audio menu is usually used paused); cleanup() stops the timer
+ */
+function setupLanguageRoles() {
+  if (!userSettings?.autoLanguageRoles) return;
+
+  clearInterval(audioCheckTimer);
+  audioCheckTimer = setInterval(() => {
+    if (!activeSession || overlaySwitching) return;
+
+    const audioLanguage = PlayerAPIConnector.getCurrentAudioTrack()?.bcp47 || null;
+    if (audioLanguage && audioLanguage !== activeSession.audioLanguage) switchOverlayForAudio(audioLanguage);
+  }, AUDIO_CHECK_INTERVAL_MS);
+  console.log(`[LinguaFlix] Automatic language roles on (audio: ${activeSession.audioLanguage || 'unknown'})`);
+}
+
+/**
+ * Re-pick the overlay languages after an audio track switch and show the result
+ * @param {string} audioLanguage - bcp47 of the new audio track
+ */
+async function switchOverlayForAudio(audioLanguage) {
+  const session = activeSession;
+  const previousLanguage = session.overlayLanguage;
+  session.audioLanguage = audioLanguage;
+  overlaySwitching = true;
+
+  try {
+    const overlay = await loadOverlayTracks(session.playerSession, audioLanguage);
+    if (activeSession !== session) return; // Navigated away meanwhile
+    Object.assign(session, overlay);
+  } catch (err) {
+    console.error('[LinguaFlix] Error switching overlay language:', err);
+    return;
+  } finally {
+    overlaySwitching = false;
+  }
+
+  console.log(`[LinguaFlix] Audio switched to ${audioLanguage}, overlay: ${session.overlayLanguage}`);
+  refreshOverlay();
+  if (!session.overlayAvailable || isFallbackOverlay()) {
+    announceOverlayLanguage();
+  } else if (session.overlayLanguage !== previousLanguage) {
+    SubtitleDisplay.showToast(`${Settings.getMessage('overlaySwitchedForAudio', 'Audio track changed, overlay now shows')} ${LanguageNames.getLanguageName(session.overlayLanguage)}`);
+  }
+}
+
+/**
+ * Wire the overlay to the configured display mode
+ * - pause: overlay shown on pause, hidden on play (pause-to-reveal)
+ * - always: overlay follows cue changes during playback
+ * - hold: overlay follows cue changes only while the peek key is held
+ * In every mode the peek key shows the overlay while held and the toggle key
+ * switches it on (following playback) or off
+ */
+function setupDisplayMode() {
+  const { video, displayMode } = activeSession;
+  console.log('[LinguaFlix] Display mode:', displayMode);
+
+  PlaybackClock.setupPlaybackClock(video);
+  refreshOverlay();
+  setupShortcuts();
+}
+
+/**
+ * Learning mode: pause at the end of every line of the track being watched
+ * The pause fires the usual PlaybackDetector path, so the overlay appears as on a manual pause
+ */
+function setupLearningMode() {
+  if (!userSettings?.autoPause) return;
+
+  const { video } = activeSession;
+  AutoPause.setupAutoPause(video, {
+    getCues: getNavigationCues,
+    minChars: Number(userSettings.autoPauseMinChars) || 0,
+    resumeDelayMs: (Number(userSettings.autoPauseResumeDelay) || 0) * 1000,
+    pause: () => PlayerAPIConnector.pause(video),
+    play: () => PlayerAPIConnector.play(video),
+    isSuspended: () => LineLoop.isLooping()
+  });
+}
+
+/**
+ * Adaptive speed: slow down while the line being watched is denser than adaptiveSpeedMaxCps
+ * The line loop sets its own speed, so adapting waits while it runs
+ */
+function setupAdaptiveSpeed() {
+  if (!userSettings?.adaptiveSpeed) return;
+
+  const { video } = activeSession;
+  AdaptiveSpeed.setupAdaptiveSpeed(video, {
+    getCues: getNavigationCues,
+    maxCps: Number(userSettings.adaptiveSpeedMaxCps) || 15,
+    minRate: Number(userSettings.adaptiveSpeedMinRate) || 0.75,
+    setPlaybackRate: (rate) => PlayerAPIConnector.setPlaybackRate(rate, video),
+    isSuspended: () => LineLoop.isLooping()
+  });
+}
+
+/**
+ * Dialogue-only mode: seek over gaps between lines longer than skipSilenceMinGap
+ * Each skip shows a toast; the undo shortcut goes back into the skipped scene
+ */
+function setupSilenceSkip() {
+  if (!userSettings?.skipSilence) return;
+
+  const { video } = activeSession;
+  SilenceSkip.setupSilenceSkip(video, {
+    getCues: getNavigationCues,
+    minGapMs: (Number(userSettings.skipSilenceMinGap) || 10) * 1000,
+    seek: (ms) => PlayerAPIConnector.seek(ms, video),
+    onSkip: ({ from, to }) => {
+      const seconds = Math.round((to - from) / 1000);
+      SubtitleDisplay.showToast(`${Settings.getMessage('silenceSkipped', 'Skipped a scene without dialogue')} (${seconds} s)`);
+    },
+    isSuspended: () => LineLoop.isLooping()
+  });
+}
+
+/**
+ * Undo shortcut: back into the scene the dialogue-only mode skipped last
+ */
+function undoSilenceSkip() {
+  if (!activeSession) return;
+  if (!SilenceSkip.undoSkip()) {
+    SubtitleDisplay.showToast(Settings.getMessage('nothingToUndo', 'No skipped scene to go back to'));
+  }
+}
+
+/**
+ * Transcript side panel (collapsed until opened by its handle or shortcut)
+ */
+function setupTranscriptPanel() {
+  if (!userSettings?.transcriptPanel) return;
+
+  TranscriptPanel.setupTranscriptPanel({
+    getTranscript,
+    getCurrentTime: () => (activeSession ? activeSession.video.currentTime * 1000 : 0),
+    onSeek: seekToTime
+  });
+}
+
+/**
+ * Attach key bindings for the active session (remappable in the options page)
+ */
+function setupShortcuts() {
+  const bindings = userSettings?.keyBindings || {};
+  KeyboardShortcuts.setupKeyboardShortcuts([
+    { combo: bindings.previousLine, onPress: () => seekToLine('previous') },
+    { combo: bindings.nextLine, onPress: () => seekToLine('next') },
+    { combo: bindings.replayLine, onPress: () => seekToLine('replay') },
+    { combo: bindings.loopLine, onPress: toggleLineLoop },
+    { combo: bindings.toggleOverlay, onPress: toggleOverlay },
+    { combo: bindings.toggleTranscript, onPress: () => TranscriptPanel.togglePanel() },
+    { combo: bindings.peekOverlay, onPress: startPeek, onRelease: stopPeek },
+    { combo: bindings.saveLine, onPress: saveCurrentLine },
+    { combo: bindings.undoSkip, onPress: undoSilenceSkip }
+  ]);
+}
+
+function handlePause() {
+  // The line loop seeking back is not a real pause
+  if (!activeSession || LineLoop.isSeeking()) return;
+
+  if (activeSession.displayMode !== 'hold' && !getOverlayCues().length) {
+    console.warn(`[LinguaFlix] No cached cues for "${activeSession.overlayLanguage}". Available keys: ${Object.keys(SubtitleFetcher.getSubtitleCache()).join(', ')}`);
+  }
+  refreshOverlay();
+}
+
+function handlePlay() {
+  if (LineLoop.isSeeking()) return;
+  WordPopup.hideWordPopup();
+  if (!activeSession) return;
+  // Hides the pause-mode overlay; a tracking overlay drops the source line again
+  // (Netflix renders it itself while playing)
+  refreshOverlay();
+}
+
+function startPeek() {
+  if (!activeSession) return;
+  activeSession.peeking = true;
+  refreshOverlay();
+}
+
+function stopPeek() {
+  if (!activeSession) return;
+  activeSession.peeking = false;
+  WordPopup.hideWordPopup();
+  refreshOverlay();
+}
+
+/**
+ * Toggle shortcut: hide a visible overlay, or show one that follows playback
+ * until toggled again (overrides the display mode)
+ */
+function toggleOverlay() {
+  if (!activeSession) return;
+
+  const visible = overlayTracking !== null || (activeSession.video.paused && isPauseRevealOn());
+  activeSession.overlayToggle = visible ? 'hidden' : 'shown';
+  if (visible) WordPopup.hideWordPopup();
+  refreshOverlay();
+}
+
+/**
+ * Seek to the previous / next line, or back to the start of the current one
+ * @param {'previous'|'next'|'replay'} direction
+ */
+function seekToLine(direction) {
+  if (!activeSession) return;
+
+  const { video } = activeSession;
+  const timeMs = video.currentTime * 1000;
+  const cues = getNavigationCues();
+
+  let target;
+  if (direction === 'previous') {
+    target = SubtitleParser.findPreviousCue(timeMs, cues);
+  } else if (direction === 'next') {
+    target = SubtitleParser.findNextCue(timeMs, cues);
+  } else {
+    target = SubtitleParser.findCueAt(timeMs, cues) || SubtitleParser.findPreviousCue(timeMs, cues);
+  }
+  if (!target) return;
+
+  console.debug(`[LinguaFlix] Seeking to ${direction} line at ${target.start}ms`);
+  if (!PlayerAPIConnector.seek(target.start, video)) return;
+
+  if (direction === 'replay' && video.paused) {
+    PlayerAPIConnector.play(video);
+  } else if (video.paused) {
+    // A paused seek may not present a frame before the next tick: render the target now
+    WordPopup.hideWordPopup();
+    refreshOverlay(target.start);
+  }
+}
+
+/**
+ * Seek to a position picked in the transcript panel
+ * @param {number} timeMs - Target position
+ */
+function seekToTime(timeMs) {
+  if (!activeSession) return;
+
+  const { video } = activeSession;
+  if (!PlayerAPIConnector.seek(timeMs, video)) return;
+  if (video.paused) {
+    // A paused seek may not present a frame before the next tick: render the target now
+    WordPopup.hideWordPopup();
+    refreshOverlay(timeMs);
+  }
+}
+
+/**
+ * Loop shortcut: replay the line at the current time loopPasses times
+ * (from the second pass at loopPlaybackRate), or stop the running loop
+ * Boundaries come from the cached cues of the track being watched
+ */
+function toggleLineLoop() {
+  if (!activeSession) return;
+
+  if (LineLoop.isLooping()) {
+    LineLoop.stopLoop();
+    SubtitleDisplay.showToast(Settings.getMessage('loopStopped', 'Repeat stopped'));
+    return;
+  }
+
+  const { video } = activeSession;
+  const timeMs = video.currentTime * 1000;
+  const cues = getNavigationCues();
+  const cue = SubtitleParser.findCueAt(timeMs, cues) || SubtitleParser.findPreviousCue(timeMs, cues);
+  if (!cue) {
+    SubtitleDisplay.showToast(Settings.getMessage('nothingToLoop', 'No subtitle line to repeat here'));
+    return;
+  }
+
+  WordPopup.hideWordPopup();
+  LineLoop.startLoop(video, cue, {
+    passes: Number(userSettings?.loopPasses) || 3,
+    slowRate: Number(userSettings?.loopPlaybackRate) || 1,
+    seek: (ms) => PlayerAPIConnector.seek(ms, video),
+    play: () => PlayerAPIConnector.play(video),
+    setPlaybackRate: (rate) => PlayerAPIConnector.setPlaybackRate(rate, video)
+  });
+  if (LineLoop.isLooping()) {
+    SubtitleDisplay.showToast(Settings.getMessage('loopStarted', 'Repeating this line'));
+  }
+}
+
+/**
+ * Show, hide or track the overlay according to display mode, toggle and peek state
+ * @param {number} timeMs - Position to render (defaults to the current time)
+ */
+function refreshOverlay(timeMs = activeSession.video.currentTime * 1000) {
+  const { displayMode, overlayToggle, peeking, video } = activeSession;
+  // Drag and clicks only while paused or peeking: a playing video keeps its clicks and hover
+  SubtitleDisplay.setInteractive(video.paused || peeking);
+  const tracking = peeking || overlayToggle === 'shown' || (displayMode === 'always' && overlayToggle !== 'hidden');
+
+  if (tracking) {
+    overlayTracking ??= PlaybackClock.addCueChangeListener(findDisplayedCues, renderCues);
+    showOverlayAt(timeMs);
+    return;
+  }
+
+  overlayTracking?.();
+  overlayTracking = null;
+  if (video.paused && isPauseRevealOn()) {
+    showOverlayAt(timeMs);
+  } else {
+    SubtitleDisplay.hideSubtitle();
+  }
+}
+
+/**
+ * Whether pausing reveals the overlay (pause mode, not switched off by the toggle)
+ */
+function isPauseRevealOn() {
+  return activeSession.displayMode === 'pause' && activeSession.overlayToggle !== 'hidden';
+}
+
+/**
+ * Persist a dragged overlay position (windowed or fullscreen) via the extension bridge
+ */
+function saveOverlayPosition(mode, position) {
+  // Keep loaded settings current for the next title on this page
+  const positions = { ...userSettings?.overlayPositions };
+  if (position) {
+    positions[mode] = position;
+  } else {
+    delete positions[mode];
+  }
+  if (userSettings) userSettings.overlayPositions = positions;
+
+  ExtensionBridge.sendToExtension('saveOverlayPosition', { mode, position })
+    .catch(err => console.warn('[LinguaFlix] Failed to save overlay position:', err));
+}
+
+/**
+ * Save the line at the current time (translation + original) to the vocabulary notebook
+ * Saves the whole sentence when showFullSentence is on, like the paused overlay shows it
+ */
+async function saveCurrentLine() {
+  if (!activeSession) return;
+
+  const timeMs = activeSession.video.currentTime * 1000;
+  const sourceLanguage = PlayerAPIConnector.getCurrentTextTrack()?.bcp47 || '';
+  const overlayUnits = getDisplayUnits(findOverlayCuesAt(timeMs), getOverlayCues(), activeSession.overlayLanguage, true);
+  const overlayUnit = overlayUnits.length
+    ? { text: overlayUnits.map(unit => unit.text).join('\n'), start: overlayUnits[0].start }
+    : null;
+  const sourceUnit = getDisplayUnit(SubtitleParser.findCueAt(timeMs, getSourceCues()), getSourceCues(), sourceLanguage);
+
+  if (!overlayUnit?.text?.trim() && !sourceUnit?.text?.trim()) {
+    SubtitleDisplay.showToast(Settings.getMessage('nothingToSave', 'No subtitle line to save here'));
+    return;
+  }
+
+  const movieId = activeSession.playerSession.getMovieId?.() || '';
+  const starts = [overlayUnit?.start, sourceUnit?.start].filter(Number.isFinite);
+  const entry = {
+    movieId,
+    title: PlayerAPIConnector.getVideoTitle(movieId),
+    timestamp: starts.length ? Math.min(...starts) : timeMs,
+    overlayText: overlayUnit?.text || '',
+    overlayLanguage: activeSession.overlayLanguage,
+    sourceText: sourceUnit?.text || '',
+    sourceLanguage: sourceUnit ? sourceLanguage : ''
+  };
+
+  try {
+    await ExtensionBridge.sendToExtension('saveNotebookEntry', { entry });
+    SubtitleDisplay.showToast(Settings.getMessage('savedToNotebook', 'Saved to notebook'));
+  } catch (err) {
+    console.error('[LinguaFlix] Failed to save line to notebook:', err);
+    SubtitleDisplay.showToast(Settings.getMessage('saveLineFailed', 'Could not save the line'));
+  }
+}
+
+/**
+ * Cached tracks of the playing title, for the popup's export section
+ * @returns {{movieId: string, title: string, tracks: Array<{language: string, cueCount: number}>}}
+ */
+function listSubtitleTracks() {
+  if (!activeSession) throw new Error('No title is playing');
+
+  const movieId = String(activeSession.playerSession.getMovieId?.() || 'unknown');
+  const prefix = movieId + '_';
+  const tracks = Object.entries(SubtitleFetcher.getSubtitleCache())
+    .filter(([key]) => key.startsWith(prefix))
+    .map(([key, cues]) => ({ language: key.slice(prefix.length), cueCount: cues.length }));
+
+  return { movieId, title: PlayerAPIConnector.getVideoTitle(movieId), tracks };
+}
+
+/**
+ * Per-minute reading speed of the track being watched, for the popup's density chart
+ * @returns {{movieId: string, title: string, language: string, maxCps: number,
+ *   adaptiveSpeed: boolean, buckets: Array<{start: number, end: number, cps: number, cueCount: number}>}}
+ */
+function getDensityProfile() {
+  const { movieId, title } = listSubtitleTracks();
+  const sourceCues = getSourceCues();
+  return {
+    movieId,
+    title,
+    language: sourceCues.length ? PlayerAPIConnector.getCurrentTextTrack()?.bcp47 : activeSession.overlayLanguage,
+    maxCps: Number(userSettings?.adaptiveSpeedMaxCps) || 15,
+    adaptiveSpeed: !!userSettings?.adaptiveSpeed,
+    buckets: SubtitleParser.getDensityProfile(getNavigationCues(), DENSITY_BUCKET_MS)
+  };
+}
+
+/**
+ * Overlay languages in use for the playing title, for the popup
+ * @returns {{movieId: string, title: string, preferredLanguage: string, overlayLanguage: string|null,
+ *   secondOverlayLanguage: string|null, fallback: boolean, audioLanguage: string|null}}
+ *   overlayLanguage is null when none of the configured languages is offered;
+ *   audioLanguage is set when the overlay language was picked for the audio track (autoLanguageRoles)
+ */
+function getOverlayStatus() {
+  const { movieId, title } = listSubtitleTracks();
+  return {
+    movieId,
+    title,
+    preferredLanguage: LanguageTags.parseLanguagePreference(activeSession.overlayLanguages[0])?.tag || activeSession.overlayLanguages[0],
+    overlayLanguage: activeSession.overlayAvailable ? activeSession.overlayLanguage : null,
+    secondOverlayLanguage: activeSession.secondOverlayLanguage,
+    fallback: isFallbackOverlay(),
+    audioLanguage: getRoleLanguage(activeSession.audioLanguage) ? activeSession.audioLanguage : null
+  };
+}
+
+/**
+ * Serialize a cached track of the playing title
+ * @param {{language: string, format: string, secondLanguage?: string}} request
+ *   format: 'srt' | 'vtt' | 'txt' | 'bilingual-srt' (secondLanguage below language)
+ * @returns {{filename: string, content: string, mimeType: string}}
+ */
+function exportSubtitles({ language, format, secondLanguage }) {
+  const { movieId, title } = listSubtitleTracks();
+  const cues = SubtitleFetcher.getCachedCues(movieId, language);
+  if (!cues.length) throw new Error(`No cached subtitles for "${language}"`);
+
+  const baseName = `${(title || movieId).replace(/[\\/:*?"<>|]+/g, ' ').trim()} - ${language}`;
+  switch (format) {
+  case 'srt':
+    return { filename: `${baseName}.srt`, content: SubtitleParser.toSRT(cues), mimeType: 'application/x-subrip' };
+  case 'vtt':
+    return { filename: `${baseName}.vtt`, content: SubtitleParser.toWebVTT(cues), mimeType: 'text/vtt' };
+  case 'txt':
+    return { filename: `${baseName}.txt`, content: SubtitleParser.toPlainText(cues, language), mimeType: 'text/plain' };
+  case 'bilingual-srt': {
+    const secondCues = SubtitleFetcher.getCachedCues(movieId, secondLanguage);
+    if (!secondCues.length) throw new Error(`No cached subtitles for "${secondLanguage}"`);
+    return {
+      filename: `${baseName}+${secondLanguage}.srt`,
+      content: SubtitleParser.toSRT(SubtitleParser.mergeBilingualCues(cues, secondCues)),
+      mimeType: 'application/x-subrip'
+    };
+  }
+  default:
+    throw new Error('Unknown export format: ' + format);
+  }
+}
+
+function getOverlayCues() {
+  if (!activeSession) return [];
+  const videoId = activeSession.playerSession.getMovieId?.() || 'unknown';
+  return SubtitleFetcher.getCachedCues(videoId, activeSession.overlayLanguage);
+}
+
+/**
+ * Cues of the second overlay language (showSecondOverlay), empty when there is none
+ */
+function getSecondOverlayCues() {
+  if (!activeSession?.secondOverlayLanguage) return [];
+  const videoId = activeSession.playerSession.getMovieId?.() || 'unknown';
+  return SubtitleFetcher.getCachedCues(videoId, activeSession.secondOverlayLanguage);
+}
+
+/**
+ * Cues of the track Netflix is rendering (re-read each time: the user may switch tracks)
+ */
+function getSourceCues() {
+  const sourceLanguage = PlayerAPIConnector.getCurrentTextTrack()?.bcp47;
+  if (!activeSession || !sourceLanguage || sourceLanguage === activeSession.overlayLanguage) return [];
+  const videoId = activeSession.playerSession.getMovieId?.() || 'unknown';
+  return SubtitleFetcher.getCachedCues(videoId, sourceLanguage);
+}
+
+/**
+ * Lines of the track being watched, for navigation and auto-pause
+ * The track Netflix renders (so timing matches what the viewer sees), else the overlay track
+ */
+function getNavigationCues() {
+  const sourceCues = getSourceCues();
+  return sourceCues.length ? sourceCues : getOverlayCues();
+}
+
+/**
+ * Every line of the title for the transcript panel: the track Netflix renders,
+ * each line paired with the overlay lines aligned with it (SubtitleParser.alignCues)
+ * Rebuilt only when the cached tracks change, so the panel re-renders only then
+ * @returns {{rows: Array<{start: number, end: number, source: string, overlay: string}>,
+ *   sourceLanguage: string, overlayLanguage: string}}
+ */
+function getTranscript() {
+  const sourceCues = getSourceCues();
+  const overlayCues = getOverlayCues();
+  const sameTrack = (a, b) => a === b || (!a.length && !b.length);
+  if (transcriptCache && sameTrack(transcriptCache.sourceCues, sourceCues) && sameTrack(transcriptCache.overlayCues, overlayCues)) {
+    return transcriptCache.transcript;
+  }
+
+  const rows = SubtitleParser.alignCues(sourceCues, overlayCues).map(row => ({
+    start: row.start,
+    end: row.end,
+    source: row.primary?.text || '',
+    overlay: row.secondary.map(cue => cue.text).join('\n')
+  }));
+  const transcript = {
+    rows,
+    sourceLanguage: sourceCues.length ? PlayerAPIConnector.getCurrentTextTrack()?.bcp47 : '',
+    overlayLanguage: activeSession?.overlayLanguage || ''
+  };
+  transcriptCache = { sourceCues, overlayCues, transcript };
+  return transcript;
+}
+
+/**
+ * Cues to render at a timestamp: [sourceCues, overlayCues, secondOverlayCues], every cue
+ * active in each track (overlapping lines: two speakers, a sign plus dialogue)
+ * The source lines are only added while paused, when Netflix's pause UI tends to hide them
+ */
+function findDisplayedCues(timeMs) {
+  const withSource = userSettings?.showSourceLine && activeSession?.video.paused;
+  return [
+    withSource ? SubtitleParser.findCuesAt(timeMs, getSourceCues()) : [],
+    findOverlayCuesAt(timeMs),
+    findOverlayCuesAt(timeMs, getSecondOverlayCues())
+  ];
+}
+
+/**
+ * Overlay cues for a timestamp
+ * While paused: the translation of the source line(s) on screen, matched by time
+ * overlap (CueAlignment), so a gap or a shifted boundary in the overlay track does
+ * not hide it; the overlay cues at the timestamp when nothing is aligned
+ * @param {number} timeMs - Position
+ * @param {Array} overlayCues - Overlay track (defaults to the first overlay language)
+ */
+function findOverlayCuesAt(timeMs, overlayCues = getOverlayCues()) {
+  if (!overlayCues.length) return [];
+  if (!activeSession?.video.paused) return SubtitleParser.findCuesAt(timeMs, overlayCues);
+
+  const sourceCues = getSourceCues();
+  const aligned = SubtitleParser.findCuesAt(timeMs, sourceCues)
+    .flatMap(cue => CueAlignment.findAlignedCues(cue, sourceCues, overlayCues));
+  if (!aligned.length) return SubtitleParser.findCuesAt(timeMs, overlayCues);
+  return [...new Set(aligned)].sort((a, b) => a.start - b.start);
+}
+
+function showOverlayAt(timeMs) {
+  renderCues(findDisplayedCues(timeMs), timeMs);
+}
+
+/**
+ * Widen a cue to the whole sentence it belongs to (when showFullSentence is on)
+ */
+function getDisplayUnit(cue, cues, language) {
+  if (!cue || !userSettings?.showFullSentence) return cue;
+  return SubtitleParser.getSentenceFor(cue, cues, language) || cue;
+}
+
+/**
+ * Display units of simultaneous cues, without blank ones; overlapping cues of
+ * one sentence widen to the same sentence, which is kept once
+ */
+function getDisplayUnits(cues, allCues, language, widen) {
+  const units = new Map();
+  for (const cue of cues) {
+    const unit = widen ? getDisplayUnit(cue, allCues, language) : cue;
+    if (unit?.text?.trim()) units.set(`${unit.start}:${unit.end}:${unit.text}`, unit);
+  }
+  return [...units.values()];
+}
+
+function renderCues([sourceCues, overlayCues, secondOverlayCues], timeMs) {
+  const { overlayLanguage, secondOverlayLanguage } = activeSession;
+  const sourceLanguage = PlayerAPIConnector.getCurrentTextTrack()?.bcp47;
+  const paused = activeSession.video.paused;
+
+  // On pause, widen split cues to the whole sentence they belong to
+  const overlayUnits = getDisplayUnits(overlayCues, getOverlayCues(), overlayLanguage, paused);
+  const secondUnits = getDisplayUnits(secondOverlayCues, getSecondOverlayCues(), secondOverlayLanguage, paused);
+  const sourceUnits = getDisplayUnits(sourceCues, getSourceCues(), sourceLanguage, paused);
+
+  const contextCount = paused ? Number(userSettings?.contextLines) || 0 : 0;
+  const context = contextCount > 0
+    ? SubtitleParser.getCueContext(timeMs, getOverlayCues(), contextCount)
+    : { before: [], after: [] };
+  const isInUnit = (cue) => overlayUnits.some(unit => unit === cue || unit.cues?.includes(cue));
+  const contextBefore = context.before.filter(cue => !isInUnit(cue));
+  const contextAfter = context.after.filter(cue => !isInUnit(cue));
+  const timestamps = contextCount > 0 && userSettings?.showTimestamps;
+
+  if (!overlayUnits.length && !secondUnits.length && !contextBefore.length && !contextAfter.length) {
+    SubtitleDisplay.hideSubtitle();
+    return;
+  }
+
+  // Styled segments, region placement and direction of rich TTML cues (see SubtitleParser.parseTTML)
+  const richText = (unit) => ({
+    text: unit.text,
+    segments: unit.segments,
+    placement: unit.placement,
+    direction: unit.direction
+  });
+
+  const toContextLine = (cue) => ({
+    ...richText(cue),
+    role: 'context',
+    language: overlayLanguage,
+    timestamp: timestamps ? cue.start : undefined
+  });
+
+  const lines = sourceUnits.map(unit => ({ ...richText(unit), role: 'source', language: sourceLanguage }));
+  lines.push(...contextBefore.map(toContextLine));
+  lines.push(...overlayUnits.map(unit => ({
+    ...richText(unit),
+    role: 'overlay',
+    language: overlayLanguage,
+    labelled: isFallbackOverlay(), // Say which fallback language is shown
+    timestamp: timestamps ? unit.start : undefined
+  })));
+  lines.push(...contextAfter.map(toContextLine));
+  lines.push(...secondUnits.map(unit => ({ ...richText(unit), role: 'overlay', language: secondOverlayLanguage })));
+
+  const actions = paused ? [{
+    id: 'save',
+    label: '☆ ' + Settings.getMessage('saveLine', 'Save'),
+    title: Settings.getMessage('saveLineTitle', 'Save this line to your vocabulary notebook'),
+    onClick: saveCurrentLine
+  }] : [];
+  SubtitleDisplay.showLines(lines, { actions });
+}
+
 function cleanup() {
   console.debug('[LinguaFlix] Running cleanup...');
+  activeSession = null;
+  overlayTracking = null;
+  transcriptCache = null;
+  overlaySwitching = false;
+  clearInterval(audioCheckTimer);
+  audioCheckTimer = null;
+  KeyboardShortcuts?.cleanup();
+  AutoPause?.cleanup();
+  LineLoop?.cleanup();
+  AdaptiveSpeed?.cleanup();
+  SilenceSkip?.cleanup();
+  TranscriptPanel?.cleanup();
+  PlaybackClock?.cleanup();
   PlaybackDetector?.cleanup();
   VideoDetector?.cleanup();
+  WordPopup?.cleanup();
   SubtitleDisplay?.cleanup();
   SubtitleFetcher?.cleanup();
   // NOTE: NavigationDetector NOT cleaned - it must persist to detect next navigation
@@ -166,7 +946,18 @@ function cleanup() {
       PlaybackDetector,
       PlayerAPIConnector,
       SubtitleFetcher,
-      Settings
+      Settings,
+      PlaybackClock,
+      KeyboardShortcuts,
+      ExtensionBridge,
+      WordPopup,
+      AutoPause,
+      LineLoop,
+      AdaptiveSpeed,
+      SilenceSkip,
+      TranscriptPanel,
+      CueAlignment,
+      LanguageTags
     };
     console.log('[LinguaFlix] Content script ready');
   } catch (err) {
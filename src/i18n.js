@@ -4,6 +4,7 @@
  * Translates HTML elements using Chrome's i18n API.
  * Elements with [data-i18n] get their textContent replaced.
  * Elements with [data-i18n-title] get their title attribute replaced.
+ * Elements with [data-i18n-placeholder] get their placeholder attribute replaced.
  */
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -18,4 +19,9 @@ document.addEventListener('DOMContentLoaded', () => {
     const msg = chrome.i18n.getMessage(el.dataset.i18nTitle);
     if (msg) el.title = msg;
   });
+
+  document.querySelectorAll('[data-i18n-placeholder]').forEach((el) => {
+    const msg = chrome.i18n.getMessage(el.dataset.i18nPlaceholder);
+    if (msg) el.placeholder = msg;
+  });
 });
@@ -0,0 +1,101 @@
+/**
+ * database.js
+ *
+ * Opens the extension's IndexedDB database and wraps IDB requests in promises
+ * Object stores are created/upgraded here, in one place
+ *
+ * Public API:
+ * - openDatabase() → Promise<IDBDatabase>
+ * - requestToPromise(request) → Promise<any>
+ * - transactionDone(transaction) → Promise<void>
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DB_NAME = 'linguaflix';
+const DB_VERSION = 2;
+
+// ============================================================================
+// MODULE STATE (private)
+// ============================================================================
+
+let dbPromise = null;
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Open (and upgrade if needed) the database; the connection is reused
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      console.log(`[LinguaFlix] Upgrading database ${event.oldVersion} → ${event.newVersion}`);
+
+      if (event.oldVersion < 1) {
+        db.createObjectStore('dictionaries', { keyPath: 'id' });
+        db.createObjectStore('dictionaryEntries', { keyPath: ['dictionaryId', 'headword'] });
+      }
+      if (event.oldVersion < 2) {
+        const notebook = db.createObjectStore('notebook', { keyPath: 'id' });
+        notebook.createIndex('createdAt', 'createdAt');
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another context upgraded the schema: drop this connection and reopen next time
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Resolve with an IDBRequest's result
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<any>}
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when a transaction commits
+ * @param {IDBTransaction} transaction - Transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { openDatabase, requestToPromise, transactionDone };
@@ -0,0 +1,208 @@
+/**
+ * dictionary-import.js
+ *
+ * Parses user-imported offline dictionaries into { headword, definition } entries
+ * Runs on the options page
+ *
+ * Supported formats:
+ * - JSON word list: { "word": "definition" | ["definition", ...] }
+ *   or [{ "word" | "headword" | "term", "definition" | "definitions" | "translation" }]
+ * - StarDict: .ifo + .idx + .dict (or dictzip-compressed .dict.dz), selected together
+ *
+ * Public API:
+ * - parseDictionaryFiles(files) → Promise<{name, format, entries}>
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// StarDict field types holding text (lowercase: NUL-terminated, uppercase: size-prefixed)
+const STARDICT_TEXT_TYPES = 'mltygxkwhr';
+const STARDICT_MARKUP_TYPES = 'gxkwh'; // Markup stripped to plain text
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Parse the files picked in the import dialog
+ * @param {FileList|File[]} files - One .json file, or the StarDict file set
+ * @returns {Promise<{name: string, format: string, entries: Array<{headword: string, definition: string}>}>}
+ * @throws {Error} If the files are not a supported dictionary
+ */
+async function parseDictionaryFiles(files) {
+  const list = Array.from(files || []);
+  const byExtension = (ext) => list.find(f => f.name.toLowerCase().endsWith(ext));
+
+  const ifo = byExtension('.ifo');
+  if (ifo) return parseStarDict(ifo, byExtension('.idx'), byExtension('.dict.dz') || byExtension('.dict'));
+
+  const json = byExtension('.json');
+  if (json) return parseJsonWordList(json);
+
+  throw new Error('Unsupported dictionary files: expected a .json word list or StarDict .ifo/.idx/.dict files');
+}
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Parse a JSON word list (object map or array of objects)
+ * @private
+ */
+async function parseJsonWordList(file) {
+  const data = JSON.parse(await file.text());
+  const entries = [];
+
+  const addEntry = (headword, definition) => {
+    const definitions = Array.isArray(definition) ? definition : [definition];
+    for (const text of definitions) {
+      if (typeof headword === 'string' && (typeof text === 'string' || typeof text === 'number')) {
+        entries.push({ headword, definition: String(text) });
+      }
+    }
+  };
+
+  if (Array.isArray(data)) {
+    for (const item of data) {
+      addEntry(
+        item?.word ?? item?.headword ?? item?.term,
+        item?.definitions ?? item?.definition ?? item?.translation ?? item?.meaning
+      );
+    }
+  } else if (data && typeof data === 'object') {
+    for (const [headword, definition] of Object.entries(data)) {
+      addEntry(headword, definition);
+    }
+  }
+
+  if (!entries.length) throw new Error('No entries found in ' + file.name);
+  return { name: file.name.replace(/\.json$/i, ''), format: 'json', entries };
+}
+
+/**
+ * Parse a StarDict dictionary (.ifo metadata, .idx index, .dict[.dz] data)
+ * @private
+ */
+async function parseStarDict(ifoFile, idxFile, dictFile) {
+  if (!idxFile || !dictFile) {
+    throw new Error('StarDict import needs the .ifo, .idx and .dict (or .dict.dz) files together');
+  }
+  if (idxFile.name.toLowerCase().endsWith('.idx.gz')) {
+    throw new Error('Compressed .idx.gz files are not supported; please decompress it first');
+  }
+
+  const info = parseIfo(await ifoFile.text());
+  const offsetBytes = info.idxoffsetbits === '64' ? 8 : 4;
+  const idx = new DataView(await idxFile.arrayBuffer());
+  const dict = new Uint8Array(dictFile.name.toLowerCase().endsWith('.dz')
+    ? await gunzip(dictFile)
+    : await dictFile.arrayBuffer());
+
+  const decoder = new TextDecoder('utf-8');
+  const entries = [];
+  let pos = 0;
+
+  while (pos < idx.byteLength) {
+    // word_str\0, then data offset and size (big-endian)
+    let end = pos;
+    while (end < idx.byteLength && idx.getUint8(end) !== 0) end++;
+    const headword = decoder.decode(new Uint8Array(idx.buffer, pos, end - pos));
+    pos = end + 1;
+
+    const offset = offsetBytes === 8 ? Number(idx.getBigUint64(pos)) : idx.getUint32(pos);
+    pos += offsetBytes;
+    const size = idx.getUint32(pos);
+    pos += 4;
+
+    const definition = readStarDictEntry(dict.subarray(offset, offset + size), info.sametypesequence, decoder);
+    if (definition) entries.push({ headword, definition });
+  }
+
+  if (!entries.length) throw new Error('No entries found in ' + ifoFile.name);
+  return { name: info.bookname || ifoFile.name.replace(/\.ifo$/i, ''), format: 'stardict', entries };
+}
+
+/**
+ * Parse "key=value" lines of a .ifo file
+ * @private
+ */
+function parseIfo(text) {
+  const info = {};
+  for (const line of text.split(/\r?\n/)) {
+    const separator = line.indexOf('=');
+    if (separator > 0) info[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  }
+  if (!info.version) throw new Error('Not a StarDict .ifo file');
+  return info;
+}
+
+/**
+ * Extract the text fields of one StarDict entry
+ * With sametypesequence the field types are given once in the .ifo and omitted
+ * from the data; the last field then runs to the end of the entry
+ * @private
+ */
+function readStarDictEntry(bytes, sameTypeSequence, decoder) {
+  const texts = [];
+  let pos = 0;
+
+  const readField = (type, isLast) => {
+    if (type === type.toUpperCase()) {
+      // Binary field: 32-bit size prefix (or rest of entry when last in a sametypesequence)
+      const size = isLast ? bytes.length - pos : new DataView(bytes.buffer, bytes.byteOffset + pos).getUint32(0);
+      if (!isLast) pos += 4;
+      pos += size;
+      return;
+    }
+    let end = pos;
+    if (isLast) {
+      end = bytes.length;
+    } else {
+      while (end < bytes.length && bytes[end] !== 0) end++;
+    }
+    const data = decoder.decode(bytes.subarray(pos, end));
+    pos = end + 1;
+    if (STARDICT_TEXT_TYPES.includes(type)) {
+      texts.push(STARDICT_MARKUP_TYPES.includes(type) ? stripMarkup(data) : data);
+    }
+  };
+
+  if (sameTypeSequence) {
+    const types = [...sameTypeSequence];
+    types.forEach((type, i) => readField(type, i === types.length - 1));
+  } else {
+    while (pos < bytes.length) {
+      const type = String.fromCharCode(bytes[pos++]);
+      readField(type, false);
+    }
+  }
+
+  return texts.map(t => t.trim()).filter(Boolean).join('\n');
+}
+
+/**
+ * Markup (HTML/XDXF/Pango) → plain text; entries are always shown as text
+ * @private
+ */
+function stripMarkup(markup) {
+  const doc = new DOMParser().parseFromString(markup.replace(/<br\s*\/?>/gi, '\n'), 'text/html');
+  return doc.body.textContent || '';
+}
+
+/**
+ * Decompress a gzip/dictzip file
+ * @private
+ */
+async function gunzip(file) {
+  const stream = file.stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).arrayBuffer();
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { parseDictionaryFiles };
@@ -0,0 +1,139 @@
+/**
+ * dictionary-store.js
+ *
+ * IndexedDB storage for offline dictionaries (extension origin)
+ * Used by the options page (import/delete) and the background service worker (lookup)
+ *
+ * Database 'linguaflix':
+ * - dictionaries: { id, name, language, format, entryCount, importedAt }
+ * - dictionaryEntries: { dictionaryId, headword, definitions: string[] }, key [dictionaryId, headword]
+ *
+ * Public API:
+ * - normalizeHeadword(word) → string
+ * - listDictionaries() → Promise<Array>
+ * - saveDictionary(meta, entries) → Promise<Object>
+ * - deleteDictionary(id) → Promise<void>
+ * - lookupHeadword(word, language) → Promise<Array>
+ */
+
+import { openDatabase, requestToPromise, transactionDone } from './database.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const IMPORT_BATCH_SIZE = 5000; // Entries per write transaction (keeps memory bounded)
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Normalize a word for storage and lookup (NFC, lowercase, trimmed)
+ * @param {string} word - Word as written
+ * @returns {string} Normalized headword
+ */
+function normalizeHeadword(word) {
+  return String(word || '').normalize('NFC').trim().toLocaleLowerCase();
+}
+
+/**
+ * List imported dictionaries
+ * @returns {Promise<Array>} Dictionary metadata objects, oldest first
+ */
+async function listDictionaries() {
+  const db = await openDatabase();
+  const tx = db.transaction('dictionaries', 'readonly');
+  const dictionaries = await requestToPromise(tx.objectStore('dictionaries').getAll());
+  return dictionaries.sort((a, b) => a.importedAt - b.importedAt);
+}
+
+/**
+ * Store a dictionary and its entries
+ * Entries with the same headword are merged
+ * @param {{name: string, language: string, format: string}} meta - Dictionary metadata
+ * @param {Array<{headword: string, definition: string}>} entries - Parsed entries
+ * @returns {Promise<Object>} Stored metadata (with id and entryCount)
+ */
+async function saveDictionary(meta, entries) {
+  const merged = new Map();
+  for (const { headword, definition } of entries) {
+    const key = normalizeHeadword(headword);
+    const text = String(definition || '').trim();
+    if (!key || !text) continue;
+    if (!merged.has(key)) merged.set(key, []);
+    merged.get(key).push(text);
+  }
+
+  const dictionary = {
+    id: crypto.randomUUID(),
+    name: meta.name || 'Dictionary',
+    language: meta.language || '',
+    format: meta.format || 'json',
+    entryCount: merged.size,
+    importedAt: Date.now()
+  };
+
+  const db = await openDatabase();
+  const rows = [...merged].map(([headword, definitions]) => ({ dictionaryId: dictionary.id, headword, definitions }));
+
+  for (let i = 0; i < rows.length; i += IMPORT_BATCH_SIZE) {
+    const tx = db.transaction('dictionaryEntries', 'readwrite');
+    const store = tx.objectStore('dictionaryEntries');
+    rows.slice(i, i + IMPORT_BATCH_SIZE).forEach(row => store.put(row));
+    await transactionDone(tx);
+  }
+
+  // Metadata last: a dictionary only shows up once all its entries are stored
+  const tx = db.transaction('dictionaries', 'readwrite');
+  tx.objectStore('dictionaries').put(dictionary);
+  await transactionDone(tx);
+
+  console.log(`[LinguaFlix] Dictionary "${dictionary.name}" imported: ${dictionary.entryCount} entries`);
+  return dictionary;
+}
+
+/**
+ * Delete a dictionary and all its entries
+ * @param {string} id - Dictionary id
+ * @returns {Promise<void>}
+ */
+async function deleteDictionary(id) {
+  const db = await openDatabase();
+  const tx = db.transaction(['dictionaries', 'dictionaryEntries'], 'readwrite');
+  tx.objectStore('dictionaries').delete(id);
+  tx.objectStore('dictionaryEntries').delete(IDBKeyRange.bound([id, ''], [id, '\uffff']));
+  await transactionDone(tx);
+}
+
+/**
+ * Look a word up in every dictionary for the language
+ * Dictionaries without a language match any language
+ * @param {string} word - Word as written in the subtitle
+ * @param {string} language - BCP-47 code of the subtitle line (optional)
+ * @returns {Promise<Array<{dictionary: string, headword: string, definitions: string[]}>>}
+ */
+async function lookupHeadword(word, language) {
+  const headword = normalizeHeadword(word);
+  if (!headword) return [];
+
+  const primary = (language || '').toLowerCase().split('-')[0];
+  const dictionaries = (await listDictionaries())
+    .filter(d => !d.language || !primary || d.language.toLowerCase().split('-')[0] === primary);
+  if (!dictionaries.length) return [];
+
+  const db = await openDatabase();
+  const tx = db.transaction('dictionaryEntries', 'readonly');
+  const store = tx.objectStore('dictionaryEntries');
+  const rows = await Promise.all(dictionaries.map(d => requestToPromise(store.get([d.id, headword]))));
+
+  return rows
+    .map((row, i) => row && { dictionary: dictionaries[i].name, headword: row.headword, definitions: row.definitions })
+    .filter(Boolean);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { normalizeHeadword, listDictionaries, saveDictionary, deleteDictionary, lookupHeadword };
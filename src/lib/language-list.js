@@ -0,0 +1,123 @@
+/**
+ * language-list.js
+ *
+ * Overlay language choices for the options page: every subtitle language seen
+ * on Netflix (recorded by bridge-relay.js in chrome.storage.local) plus common
+ * ones, named with Intl.DisplayNames in the UI language and in their own
+ *
+ * Public API:
+ * - getSeenLanguages() → Promise<Object> { [bcp47]: { displayName, lastSeen } }
+ * - buildLanguageList(seenLanguages, uiLanguage) → [{ tag, name, seen }]
+ * - toLanguageTag(text) → string | null
+ * - getLanguageLabel(tag, uiLanguage, fallback) → string
+ * - matchesSearch(language, query) → boolean
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Offered before any title was played (Netflix's most common subtitle languages)
+const COMMON_LANGUAGES = [
+  'ar', 'cs', 'da', 'de', 'el', 'en', 'es', 'es-ES', 'es-419', 'fi', 'fil', 'fr', 'fr-CA', 'he', 'hi',
+  'hr', 'hu', 'id', 'it', 'ja', 'ko', 'ms', 'nb', 'nl', 'pl', 'pt', 'pt-BR', 'pt-PT', 'ro', 'ru',
+  'sv', 'th', 'tr', 'uk', 'vi', 'zh', 'zh-Hans', 'zh-Hant'
+];
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Subtitle languages recorded while watching
+ * @returns {Promise<Object>} { [bcp47]: { displayName, lastSeen } }
+ */
+async function getSeenLanguages() {
+  const { seenLanguages = {} } = await chrome.storage.local.get('seenLanguages');
+  return seenLanguages;
+}
+
+/**
+ * Languages to choose from: the seen ones and COMMON_LANGUAGES, without duplicates
+ * @param {Object} seenLanguages - From getSeenLanguages()
+ * @param {string} uiLanguage - Language to name them in (e.g. chrome.i18n.getUILanguage())
+ * @returns {Array<{tag: string, name: string, seen: boolean}>} Sorted by name
+ */
+function buildLanguageList(seenLanguages, uiLanguage) {
+  const languages = new Map();
+  for (const [bcp47, { displayName } = {}] of Object.entries(seenLanguages || {})) {
+    const tag = toLanguageTag(bcp47);
+    if (tag && !languages.has(tag)) {
+      languages.set(tag, { tag, name: getLanguageLabel(tag, uiLanguage, displayName), seen: true });
+    }
+  }
+  for (const tag of COMMON_LANGUAGES) {
+    if (!languages.has(tag)) languages.set(tag, { tag, name: getLanguageLabel(tag, uiLanguage), seen: false });
+  }
+  return [...languages.values()].sort((a, b) => a.name.localeCompare(b.name, uiLanguage));
+}
+
+/**
+ * Canonical form of a valid BCP-47 tag that Intl.DisplayNames can name
+ * @param {string} text - Typed or stored tag (e.g. 'PT_br', 'hi')
+ * @returns {string|null} Canonical tag (e.g. 'pt-BR'), or null
+ */
+function toLanguageTag(text) {
+  try {
+    const [tag] = Intl.getCanonicalLocales(String(text || '').trim().replace(/_/g, '-'));
+    if (!tag) return null;
+    const name = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' }).of(tag);
+    return name ? tag : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Label for a language: its name in the UI language, then in its own
+ * (e.g. 'Hindi (हिन्दी)'); Netflix's display name when Intl has none
+ * @param {string} tag - BCP-47 tag
+ * @param {string} uiLanguage - Language of the options page
+ * @param {string} [fallback] - Name to use when Intl doesn't know the tag
+ * @returns {string} Label
+ */
+function getLanguageLabel(tag, uiLanguage, fallback = '') {
+  try {
+    const name = new Intl.DisplayNames([uiLanguage], { type: 'language', fallback: 'none' }).of(tag);
+    if (!name) return fallback || tag;
+    const ownName = new Intl.DisplayNames([tag], { type: 'language', fallback: 'none' }).of(tag);
+    return ownName && ownName.toLocaleLowerCase() !== name.toLocaleLowerCase() ? `${name} (${ownName})` : name;
+  } catch {
+    return fallback || tag;
+  }
+}
+
+/**
+ * Whether a language matches a search query (by name or tag, ignoring case and accents)
+ * @param {{tag: string, name: string}} language - Entry from buildLanguageList()
+ * @param {string} query - Search text
+ * @returns {boolean}
+ */
+function matchesSearch(language, query) {
+  const needle = foldText(query);
+  if (!needle) return true;
+  return foldText(language.name).includes(needle) || language.tag.toLowerCase().startsWith(needle);
+}
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Lowercase text without accents, for searching
+ * @private
+ */
+function foldText(text) {
+  return String(text || '').normalize('NFD').replace(/\p{M}/gu, '').trim().toLocaleLowerCase();
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { getSeenLanguages, buildLanguageList, toLanguageTag, getLanguageLabel, matchesSearch };
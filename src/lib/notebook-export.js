@@ -0,0 +1,123 @@
+/**
+ * notebook-export.js
+ *
+ * Serializes notebook entries for flashcard apps and spreadsheets
+ *
+ * Anki TSV uses Anki's file headers (Anki 2.1.55+), so File → Import picks up
+ * the separator, column names and the tags column without manual mapping:
+ * Front = original line, Back = translation
+ *
+ * Public API:
+ * - toAnkiTsv(entries) → string
+ * - toCsv(entries) → string
+ * - formatTimestamp(ms) → string
+ * - getWatchUrl(entry) → string
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const ANKI_COLUMNS = ['Front', 'Back', 'Title', 'Time', 'Link', 'Note', 'Tags'];
+const CSV_COLUMNS = [
+  'sourceText', 'sourceLanguage', 'overlayText', 'overlayLanguage',
+  'title', 'movieId', 'time', 'link', 'tags', 'note', 'createdAt'
+];
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Anki "Notes in Plain Text" file (tab separated, with header directives)
+ * Lines without an original (source) line put the translation on the front
+ * @param {Array<Object>} entries - Notebook entries
+ * @returns {string} File content
+ */
+function toAnkiTsv(entries) {
+  const header = [
+    '#separator:tab',
+    '#html:false',
+    '#columns:' + ANKI_COLUMNS.join('\t'),
+    '#tags column:' + ANKI_COLUMNS.length
+  ];
+
+  const rows = entries.map((entry) => {
+    const front = entry.sourceText || entry.overlayText;
+    const back = entry.sourceText ? entry.overlayText : '';
+    return [
+      front,
+      back,
+      entry.title,
+      formatTimestamp(entry.timestamp),
+      getWatchUrl(entry),
+      entry.note,
+      (entry.tags || []).join(' ')
+    ].map(value => quoteField(value, '\t')).join('\t');
+  });
+
+  return header.concat(rows).join('\n') + '\n';
+}
+
+/**
+ * RFC 4180 CSV with a header row (UTF-8 BOM so spreadsheet apps detect the encoding)
+ * @param {Array<Object>} entries - Notebook entries
+ * @returns {string} File content
+ */
+function toCsv(entries) {
+  const rows = entries.map((entry) => {
+    const values = {
+      ...entry,
+      time: formatTimestamp(entry.timestamp),
+      link: getWatchUrl(entry),
+      tags: (entry.tags || []).join(' '),
+      createdAt: new Date(entry.createdAt).toISOString()
+    };
+    return CSV_COLUMNS.map(column => quoteField(values[column], ',')).join(',');
+  });
+
+  return '\uFEFF' + [CSV_COLUMNS.join(',')].concat(rows).join('\r\n') + '\r\n';
+}
+
+/**
+ * Format milliseconds as m:ss (or h:mm:ss)
+ * @param {number} ms - Milliseconds
+ * @returns {string}
+ */
+function formatTimestamp(ms) {
+  const totalSeconds = Math.floor((ms || 0) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+/**
+ * Netflix link that opens the title at the saved line
+ * @param {Object} entry - Notebook entry
+ * @returns {string} URL, or '' without a movieId
+ */
+function getWatchUrl(entry) {
+  if (!entry.movieId) return '';
+  return `https://www.netflix.com/watch/${encodeURIComponent(entry.movieId)}?t=${Math.floor((entry.timestamp || 0) / 1000)}`;
+}
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Quote a field when it contains the separator, a quote or a line break
+ * @private
+ */
+function quoteField(value, separator) {
+  const text = String(value ?? '');
+  if (!text.includes(separator) && !/["\r\n]/.test(text)) return text;
+  return '"' + text.replace(/"/g, '""') + '"';
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { toAnkiTsv, toCsv, formatTimestamp, getWatchUrl };
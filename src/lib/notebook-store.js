@@ -0,0 +1,127 @@
+/**
+ * notebook-store.js
+ *
+ * IndexedDB storage for the vocabulary notebook (lines saved from the overlay)
+ * Used by the background service worker (save from Netflix) and the notebook page
+ *
+ * Entry: {
+ *   id, createdAt, updatedAt,
+ *   movieId, title, timestamp (ms into the video),
+ *   overlayText, overlayLanguage, sourceText, sourceLanguage,
+ *   tags: string[], note
+ * }
+ *
+ * Public API:
+ * - listEntries() → Promise<Array>
+ * - addEntry(entry) → Promise<Object>
+ * - updateEntry(id, changes) → Promise<Object>
+ * - deleteEntry(id) → Promise<void>
+ * - normalizeTags(tags) → string[]
+ */
+
+import { openDatabase, requestToPromise, transactionDone } from './database.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Fields the user may change from the notebook page
+const EDITABLE_FIELDS = ['overlayText', 'sourceText', 'title', 'tags', 'note'];
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * All notebook entries, newest first
+ * @returns {Promise<Array>}
+ */
+async function listEntries() {
+  const db = await openDatabase();
+  const tx = db.transaction('notebook', 'readonly');
+  const entries = await requestToPromise(tx.objectStore('notebook').index('createdAt').getAll());
+  return entries.reverse();
+}
+
+/**
+ * Store a new entry
+ * @param {Object} entry - Saved line (see entry shape above; id/createdAt are assigned here)
+ * @returns {Promise<Object>} Stored entry
+ */
+async function addEntry(entry) {
+  const now = Date.now();
+  const stored = {
+    id: crypto.randomUUID(),
+    createdAt: now,
+    updatedAt: now,
+    movieId: String(entry.movieId ?? ''),
+    title: String(entry.title || ''),
+    timestamp: Number.isFinite(entry.timestamp) ? Math.round(entry.timestamp) : 0,
+    overlayText: String(entry.overlayText || ''),
+    overlayLanguage: String(entry.overlayLanguage || ''),
+    sourceText: String(entry.sourceText || ''),
+    sourceLanguage: String(entry.sourceLanguage || ''),
+    tags: normalizeTags(entry.tags),
+    note: String(entry.note || '')
+  };
+  if (!stored.overlayText && !stored.sourceText) throw new Error('Nothing to save: the line is empty');
+
+  const db = await openDatabase();
+  const tx = db.transaction('notebook', 'readwrite');
+  tx.objectStore('notebook').add(stored);
+  await transactionDone(tx);
+
+  console.log('[LinguaFlix] Notebook entry saved:', stored.id);
+  return stored;
+}
+
+/**
+ * Edit an entry (only text, title, tags and note can change)
+ * @param {string} id - Entry id
+ * @param {Object} changes - Changed fields
+ * @returns {Promise<Object>} Updated entry
+ */
+async function updateEntry(id, changes) {
+  const db = await openDatabase();
+  const tx = db.transaction('notebook', 'readwrite');
+  const store = tx.objectStore('notebook');
+  const entry = await requestToPromise(store.get(id));
+  if (!entry) throw new Error('Notebook entry not found: ' + id);
+
+  for (const field of EDITABLE_FIELDS) {
+    if (!(field in changes)) continue;
+    entry[field] = field === 'tags' ? normalizeTags(changes.tags) : String(changes[field] ?? '');
+  }
+  entry.updatedAt = Date.now();
+  store.put(entry);
+  await transactionDone(tx);
+  return entry;
+}
+
+/**
+ * Delete an entry
+ * @param {string} id - Entry id
+ * @returns {Promise<void>}
+ */
+async function deleteEntry(id) {
+  const db = await openDatabase();
+  const tx = db.transaction('notebook', 'readwrite');
+  tx.objectStore('notebook').delete(id);
+  await transactionDone(tx);
+}
+
+/**
+ * Tags as a clean list: trimmed, no spaces (Anki separates tags with spaces), no duplicates
+ * @param {string|string[]} tags - Array, or a comma/space separated string
+ * @returns {string[]}
+ */
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,\s]+/);
+  return [...new Set(list.map(t => String(t).trim().replace(/\s+/g, '_')).filter(Boolean))];
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { listEntries, addEntry, updateEntry, deleteEntry, normalizeTags };
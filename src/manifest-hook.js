@@ -0,0 +1,46 @@
+/**
+ * manifest-hook.js
+ *
+ * Runs in MAIN world at document_start, before Netflix's player scripts
+ * Wraps JSON.parse to keep the timed-text tracks of the playback manifests
+ * Netflix decodes, so a title opened directly (or reloaded) is not missed:
+ * content.js only loads its modules at document_end
+ *
+ * Captured manifests are read by modules/manifest-observer.js from
+ * window.__linguaflixManifests: [{ movieId, timedtexttracks }], oldest first
+ */
+
+(() => {
+  if (window.__linguaflixManifests) return;
+
+  const MAX_MANIFESTS = 10; // Titles kept (oldest dropped first)
+  const manifests = [];
+  Object.defineProperty(window, '__linguaflixManifests', { value: manifests });
+
+  // A manifest is { movieId, timedtexttracks }, on its own or under result (possibly batched)
+  function collectManifests(value) {
+    const candidates = Array.isArray(value.result) ? value.result : [value.result, value];
+    for (const manifest of candidates) {
+      if (!Array.isArray(manifest?.timedtexttracks) || !manifest.movieId) continue;
+
+      const movieId = String(manifest.movieId);
+      const previous = manifests.findIndex(entry => entry.movieId === movieId);
+      if (previous !== -1) manifests.splice(previous, 1);
+      manifests.push({ movieId, timedtexttracks: manifest.timedtexttracks });
+      if (manifests.length > MAX_MANIFESTS) manifests.shift();
+    }
+  }
+
+  const parse = JSON.parse;
+  JSON.parse = function (...args) {
+    const value = parse.apply(this, args);
+    // Strings, numbers and null (most parses on the page) are returned untouched
+    if (value === null || typeof value !== 'object') return value;
+    try {
+      collectManifests(value);
+    } catch (err) {
+      console.error('[LinguaFlix] Error reading playback manifest:', err);
+    }
+    return value;
+  };
+})();
@@ -0,0 +1,144 @@
+/**
+ * adaptive-speed.js
+ *
+ * Adaptive playback speed: slows the video down while the upcoming line is
+ * denser (characters per second) than the viewer can read, and restores the
+ * normal speed afterwards
+ *
+ * Dependencies: PlaybackClock (addTickListener), SubtitleParser (findCueAt, findNextCue, getCueDensity)
+ *
+ * Public API:
+ * - setupAdaptiveSpeed(video, options) → void
+ * - cleanup() → void
+ */
+
+import { addTickListener } from './playback-clock.js';
+import { findCueAt, findNextCue, getCueDensity } from './subtitle-parser.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const LOOKAHEAD_MS = 500;     // Slow down this long before a dense line starts (also bridges short gaps)
+const RATE_EPSILON = 0.01;    // Smaller rate differences are not worth a change
+
+// ============================================================================
+// MODULE STATE (private)
+// ============================================================================
+
+let trackedVideo = null;
+let config = null;        // { getCues, maxCps, minRate, setPlaybackRate, isSuspended }
+let baseRate = 1;         // Speed outside dense stretches (follows the viewer's own speed changes)
+let appliedRate = null;   // Last rate set by this module
+let stopTicking = null;
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Start adapting the speed for the given video
+ * Calling it again replaces the previous setup
+ * Needs the playback clock running for the same video (PlaybackClock.setupPlaybackClock)
+ * @param {HTMLVideoElement} video - Video element
+ * @param {Object} options
+ * @param {Function} options.getCues - () => Array of sorted cues of the track being watched
+ * @param {number} options.maxCps - Lines faster than this (characters per second) are slowed down
+ * @param {number} options.minRate - Slowest playback rate used (e.g. 0.75)
+ * @param {Function} options.setPlaybackRate - (rate) => void
+ * @param {Function} [options.isSuspended] - () => boolean, true while another feature owns the speed (e.g. a line loop)
+ */
+function setupAdaptiveSpeed(video, { getCues, maxCps = 15, minRate = 0.75, setPlaybackRate, isSuspended = () => false }) {
+  console.debug('[LinguaFlix] setupAdaptiveSpeed() called');
+
+  if (trackedVideo) cleanup();
+
+  if (!video || !(video instanceof HTMLVideoElement)) {
+    console.error('[LinguaFlix] setupAdaptiveSpeed: invalid video element');
+    return;
+  }
+
+  trackedVideo = video;
+  config = { getCues, maxCps, minRate: Math.min(1, minRate), setPlaybackRate, isSuspended };
+  baseRate = video.playbackRate || 1;
+  stopTicking = addTickListener(handleTick);
+
+  console.log(`[LinguaFlix] Adaptive speed on (above ${maxCps} chars/s, down to ${config.minRate}×)`);
+}
+
+/**
+ * Cleanup: restores the normal speed and stops watching playback
+ */
+function cleanup() {
+  console.debug('[LinguaFlix] AdaptiveSpeed cleanup() called');
+
+  stopTicking?.();
+  if (config && appliedRate !== null && appliedRate !== baseRate) applyRate(baseRate);
+
+  trackedVideo = null;
+  config = null;
+  baseRate = 1;
+  appliedRate = null;
+  stopTicking = null;
+}
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Set the speed for the line playing (or about to play) at each tick
+ * @private
+ */
+function handleTick(timeMs) {
+  if (!trackedVideo || trackedVideo.paused || config.isSuspended()) return;
+
+  // A speed we did not set is the viewer's choice (Netflix speed menu): make it the new normal
+  if (appliedRate !== null && Math.abs(trackedVideo.playbackRate - appliedRate) > RATE_EPSILON) {
+    baseRate = trackedVideo.playbackRate;
+    appliedRate = baseRate;
+  }
+
+  const cues = config.getCues();
+  let cue = findCueAt(timeMs, cues);
+  if (!cue) {
+    const next = findNextCue(timeMs, cues);
+    if (next && next.start - timeMs <= LOOKAHEAD_MS) cue = next;
+  }
+
+  const targetRate = cue ? rateFor(cue) : baseRate;
+  if (appliedRate === null || Math.abs(targetRate - appliedRate) > RATE_EPSILON) {
+    applyRate(targetRate);
+  }
+}
+
+/**
+ * Speed that brings a line down to maxCps, no slower than minRate
+ * @private
+ */
+function rateFor(cue) {
+  const cps = getCueDensity(cue);
+  if (cps <= config.maxCps) return baseRate;
+  return baseRate * Math.max(config.minRate, config.maxCps / cps);
+}
+
+/**
+ * Set the playback rate, isolating player errors
+ * @private
+ */
+function applyRate(rate) {
+  try {
+    config.setPlaybackRate(rate);
+    appliedRate = rate;
+  } catch (e) {
+    console.error('[LinguaFlix] Error setting adaptive playback rate:', e);
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { setupAdaptiveSpeed, cleanup };
+
+console.log('[LinguaFlix] adaptive-speed.js loaded');
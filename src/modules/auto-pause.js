@@ -0,0 +1,157 @@
+/**
+ * auto-pause.js
+ *
+ * Learning mode: pauses the video at the end of every subtitle line, so the
+ * overlay appears without touching the keyboard (the pause goes through the
+ * usual PlaybackDetector path), and optionally resumes after a delay
+ *
+ * Dependencies: PlaybackClock (addTickListener), SubtitleParser (findCueAt)
+ *
+ * Public API:
+ * - setupAutoPause(video, options) → void
+ * - cleanup() → void
+ */
+
+import { addTickListener } from './playback-clock.js';
+import { findCueAt } from './subtitle-parser.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const END_LEAD_MS = 80;   // Pause this early: ticks come once per frame and the pause lands a frame later
+const MAX_LATE_MS = 500;  // Further past the end means a seek jumped over the boundary: don't pause
+
+// ============================================================================
+// MODULE STATE (private)
+// ============================================================================
+
+let trackedVideo = null;
+let config = null;        // { getCues, minChars, resumeDelayMs, pause, play, isSuspended }
+let currentCue = null;    // Line playing at the last tick
+let pausedCue = null;     // Line we last paused after (not paused again until replayed)
+let resumeTimer = null;
+let stopTicking = null;
+let playHandler = null;
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Start pausing at line ends for the given video
+ * Calling it again replaces the previous setup
+ * Needs the playback clock running for the same video (PlaybackClock.setupPlaybackClock)
+ * @param {HTMLVideoElement} video - Video element
+ * @param {Object} options
+ * @param {Function} options.getCues - () => Array of sorted cues of the track being watched
+ * @param {number} options.minChars - Lines shorter than this many characters play through
+ * @param {number} options.resumeDelayMs - Resume automatically after this delay (0 = stay paused)
+ * @param {Function} options.pause - Pauses playback (through the Netflix player)
+ * @param {Function} options.play - Resumes playback (through the Netflix player)
+ * @param {Function} [options.isSuspended] - () => boolean, true while line ends must not pause (e.g. a line loop)
+ */
+function setupAutoPause(video, { getCues, minChars = 0, resumeDelayMs = 0, pause, play, isSuspended = () => false }) {
+  console.debug('[LinguaFlix] setupAutoPause() called');
+
+  if (trackedVideo) cleanup();
+
+  if (!video || !(video instanceof HTMLVideoElement)) {
+    console.error('[LinguaFlix] setupAutoPause: invalid video element');
+    return;
+  }
+
+  trackedVideo = video;
+  config = { getCues, minChars, resumeDelayMs, pause, play, isSuspended };
+  stopTicking = addTickListener(handleTick);
+
+  // Resuming by hand cancels the pending automatic resume
+  playHandler = () => clearTimeout(resumeTimer);
+  video.addEventListener('play', playHandler);
+
+  console.log(`[LinguaFlix] Auto-pause on (min ${minChars} chars, resume after ${resumeDelayMs}ms)`);
+}
+
+/**
+ * Cleanup: stops watching playback and cancels a pending resume
+ */
+function cleanup() {
+  console.debug('[LinguaFlix] AutoPause cleanup() called');
+
+  stopTicking?.();
+  clearTimeout(resumeTimer);
+  if (trackedVideo && playHandler) {
+    trackedVideo.removeEventListener('play', playHandler);
+  }
+
+  trackedVideo = null;
+  config = null;
+  currentCue = null;
+  pausedCue = null;
+  resumeTimer = null;
+  stopTicking = null;
+  playHandler = null;
+}
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Pause when playback reaches the end of the line that was playing
+ * @private
+ */
+function handleTick(timeMs) {
+  if (!trackedVideo || trackedVideo.paused) return;
+
+  // Keep following the line, so the end of the last suspended pass still pauses
+  if (config.isSuspended()) {
+    currentCue = findCueAt(timeMs, config.getCues());
+    return;
+  }
+
+  // Seeking back into the line (e.g. replay) arms it again
+  if (pausedCue && timeMs < pausedCue.end - END_LEAD_MS) pausedCue = null;
+
+  if (currentCue && currentCue !== pausedCue &&
+      timeMs >= currentCue.end - END_LEAD_MS && timeMs < currentCue.end + MAX_LATE_MS &&
+      isLongEnough(currentCue)) {
+    pausedCue = currentCue;
+    pauseAtBoundary();
+    return;
+  }
+
+  currentCue = findCueAt(timeMs, config.getCues());
+}
+
+/**
+ * Whether a line is long enough to stop after
+ * Counts characters (code points, so CJK lines count per character), ignoring spaces
+ * @private
+ */
+function isLongEnough(cue) {
+  const length = Array.from(String(cue.text || '').replace(/\s+/g, '')).length;
+  return length > 0 && length >= config.minChars;
+}
+
+/**
+ * Pause now and schedule the automatic resume
+ * @private
+ */
+function pauseAtBoundary() {
+  config.pause();
+  clearTimeout(resumeTimer);
+  if (config.resumeDelayMs > 0) {
+    resumeTimer = setTimeout(() => {
+      if (trackedVideo?.paused) config.play();
+    }, config.resumeDelayMs);
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { setupAutoPause, cleanup };
+
+console.log('[LinguaFlix] auto-pause.js loaded');
@@ -0,0 +1,127 @@
+/**
+ * cue-alignment.js
+ *
+ * Aligns the overlay track with the source track by time overlap: different
+ * language tracks split lines at different times, so the translation of the
+ * source line on screen is not always the overlay cue at the current time
+ *
+ * Each overlay cue goes to the source line holding the largest share of it
+ * (with a tolerance for tracks timed a little apart); several overlay cues
+ * may merge into one source line, and a long overlay cue also covers the
+ * source lines it spans that got no cue of their own
+ *
+ * Dependencies: CueStore (getCueStore)
+ *
+ * Public API:
+ * - alignTracks(sourceCues, overlayCues) → Map(sourceCue → [overlayCue, ...])
+ * - findAlignedCues(sourceCue, sourceCues, overlayCues) → [overlayCue, ...]
+ */
+
+import { getCueStore } from './cue-store.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const TOLERANCE_MS = 250;        // Lines timed this far apart still count as overlapping
+const MIN_OVERLAP_RATIO = 0.3;   // Smaller shares of a line are not a match
+
+// ============================================================================
+// MODULE STATE (private)
+// ============================================================================
+
+const alignments = new WeakMap(); // sourceCues → WeakMap(overlayCues → { sourceLength, overlayLength, alignment })
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Match every source cue with the overlay cues that translate it
+ * @param {Array} sourceCues - Cues of the track on screen (sorted by start)
+ * @param {Array} overlayCues - Cues of the overlay track (sorted by start)
+ * @returns {Map<Object, Array>} Source cue → its overlay cues (sorted by start, possibly empty)
+ */
+function alignTracks(sourceCues, overlayCues) {
+  const sourceStore = getCueStore(sourceCues);
+  const overlayStore = getCueStore(overlayCues);
+  const alignment = new Map(sourceStore.cues.map(cue => [cue, []]));
+
+  // Each overlay cue goes to the source line holding most of it (many-to-one)
+  for (const overlay of overlayStore.cues) {
+    const duration = overlay.end - overlay.start;
+    if (duration <= 0) continue;
+
+    let best = null;
+    for (const source of sourceStore.cuesOverlapping(overlay.start - TOLERANCE_MS, overlay.end + TOLERANCE_MS)) {
+      const ratio = overlapMs(overlay, source, TOLERANCE_MS) / duration;
+      const exact = overlapMs(overlay, source, 0);
+      if (ratio < MIN_OVERLAP_RATIO) continue;
+      if (!best || ratio > best.ratio || (ratio === best.ratio && exact > best.exact)) {
+        best = { source, ratio, exact };
+      }
+    }
+    if (best) alignment.get(best.source).push(overlay);
+  }
+
+  // A long overlay line spanning several source lines covers those left without one
+  for (const [source, aligned] of alignment) {
+    const duration = source.end - source.start;
+    if (aligned.length || duration <= 0) continue;
+
+    for (const overlay of overlayStore.cuesOverlapping(source.start - TOLERANCE_MS, source.end + TOLERANCE_MS)) {
+      if (overlapMs(source, overlay, TOLERANCE_MS) / duration >= MIN_OVERLAP_RATIO) aligned.push(overlay);
+    }
+  }
+
+  return alignment;
+}
+
+/**
+ * Overlay cues translating one source cue
+ * The alignment of each track pair is computed once and reused while both tracks stay cached
+ * (several overlay tracks can be aligned with the same source track)
+ * @param {Object} sourceCue - Cue from sourceCues
+ * @param {Array} sourceCues - Cues of the track on screen (sorted by start)
+ * @param {Array} overlayCues - Cues of the overlay track (sorted by start)
+ * @returns {Array} Overlay cues (sorted by start; empty when nothing matches)
+ */
+function findAlignedCues(sourceCue, sourceCues, overlayCues) {
+  if (!sourceCue || !Array.isArray(sourceCues) || !Array.isArray(overlayCues)) return [];
+
+  if (!alignments.has(sourceCues)) alignments.set(sourceCues, new WeakMap());
+  const pairs = alignments.get(sourceCues);
+
+  let cached = pairs.get(overlayCues);
+  if (!cached || cached.sourceLength !== sourceCues.length || cached.overlayLength !== overlayCues.length) {
+    cached = {
+      sourceLength: sourceCues.length,
+      overlayLength: overlayCues.length,
+      alignment: alignTracks(sourceCues, overlayCues)
+    };
+    pairs.set(overlayCues, cached);
+    console.debug(`[LinguaFlix] Aligned ${sourceCues.length} source cues with ${overlayCues.length} overlay cues`);
+  }
+
+  return cached.alignment.get(sourceCue) || [];
+}
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Milliseconds of `cue` inside `other` widened by toleranceMs on both sides
+ * @private
+ */
+function overlapMs(cue, other, toleranceMs) {
+  return Math.max(0, Math.min(cue.end, other.end + toleranceMs) - Math.max(cue.start, other.start - toleranceMs));
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { alignTracks, findAlignedCues };
+
+console.log('[LinguaFlix] cue-alignment.js loaded');
@@ -0,0 +1,183 @@
+/**
+ * cue-store.js
+ *
+ * Indexed cue store: answers time queries over a track in logarithmic time,
+ * including tracks where cues overlap (two speakers, a sign plus dialogue)
+ *
+ * Cues are kept sorted by start and laid out as an implicit interval tree
+ * (the middle of every range is its root, annotated with the latest end
+ * below it); a second order by end answers "previous line" queries
+ *
+ * Stores are built once per cue array (getCueStore memoizes them), so the
+ * parser's lookups can keep taking the arrays cached by SubtitleFetcher
+ *
+ * Public API:
+ * - createCueStore(cues) → store
+ * - getCueStore(cues) → store (memoized per array)
+ *
+ * store:
+ * - cues → Array (sorted by start, then end)
+ * - cuesAt(timeMs) → [...] every cue active at timeMs (sorted by start)
+ * - cuesOverlapping(startMs, endMs) → [...] every cue overlapping [startMs, endMs) (sorted by start)
+ * - previous(timeMs) → cue | null, the last line that ended by timeMs
+ * - next(timeMs) → cue | null, the first line starting after timeMs
+ * - indexOf(cue) → number, position in store.cues (-1 if absent)
+ * - firstIndexAfter(timeMs) → number, position of the first cue starting after timeMs
+ */
+
+// ============================================================================
+// MODULE STATE (private)
+// ============================================================================
+
+const storesByArray = new WeakMap(); // cue array → { length, store }
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Build an indexed store over a list of cues
+ * The list is copied: later changes to the array are not seen (see getCueStore)
+ * @param {Array<{start: number, end: number}>} cues - Cue objects in any order
+ * @returns {Object} Store (see the header for its methods)
+ */
+function createCueStore(cues) {
+  const byStart = (Array.isArray(cues) ? cues : [])
+    .filter(cue => Number.isFinite(cue?.start) && Number.isFinite(cue?.end))
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+  const positions = new Map(byStart.map((cue, index) => [cue, index]));
+
+  const maxEnd = new Array(byStart.length);
+  buildMaxEnd(byStart, maxEnd, 0, byStart.length);
+
+  // By end, with the latest-starting cue among each prefix (the "previous line" candidate)
+  const byEnd = byStart.slice().sort((a, b) => a.end - b.end);
+  const latestStart = [];
+  byEnd.forEach((cue, index) => {
+    const best = latestStart[index - 1];
+    latestStart.push(best && (best.start > cue.start || (best.start === cue.start && best.end > cue.end)) ? best : cue);
+  });
+
+  return {
+    cues: byStart,
+
+    cuesAt(timeMs) {
+      const active = [];
+      collectActive(byStart, maxEnd, 0, byStart.length, timeMs, active);
+      return active;
+    },
+
+    cuesOverlapping(startMs, endMs) {
+      const found = [];
+      if (endMs > startMs) collectOverlapping(byStart, maxEnd, 0, byStart.length, startMs, endMs, found);
+      return found;
+    },
+
+    previous(timeMs) {
+      const count = countWhere(byEnd, cue => cue.end <= timeMs);
+      return count ? latestStart[count - 1] : null;
+    },
+
+    next(timeMs) {
+      return byStart[countWhere(byStart, cue => cue.start <= timeMs)] || null;
+    },
+
+    indexOf(cue) {
+      return positions.get(cue) ?? -1;
+    },
+
+    firstIndexAfter(timeMs) {
+      return countWhere(byStart, cue => cue.start <= timeMs);
+    }
+  };
+}
+
+/**
+ * Store for a cue array, built on first use and reused while the array keeps its length
+ * (cached tracks are never modified; a changed length rebuilds the store)
+ * @param {Array} cues - Cue objects
+ * @returns {Object} Store (see createCueStore)
+ */
+function getCueStore(cues) {
+  if (!Array.isArray(cues)) return createCueStore([]);
+
+  const cached = storesByArray.get(cues);
+  if (cached && cached.length === cues.length) return cached.store;
+
+  const store = createCueStore(cues);
+  storesByArray.set(cues, { length: cues.length, store });
+  return store;
+}
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Annotate the implicit tree over cues[lo, hi): maxEnd[mid] = latest end in the range
+ * @returns {number} Latest end in the range (-Infinity when empty)
+ * @private
+ */
+function buildMaxEnd(cues, maxEnd, lo, hi) {
+  if (lo >= hi) return -Infinity;
+  const mid = (lo + hi) >>> 1;
+  maxEnd[mid] = Math.max(cues[mid].end, buildMaxEnd(cues, maxEnd, lo, mid), buildMaxEnd(cues, maxEnd, mid + 1, hi));
+  return maxEnd[mid];
+}
+
+/**
+ * Push the cues of cues[lo, hi) active at timeMs, in start order
+ * Ranges ending by timeMs are skipped whole; so is everything starting after it
+ * @private
+ */
+function collectActive(cues, maxEnd, lo, hi, timeMs, active) {
+  if (lo >= hi) return;
+  const mid = (lo + hi) >>> 1;
+  if (maxEnd[mid] <= timeMs) return;
+
+  collectActive(cues, maxEnd, lo, mid, timeMs, active);
+  if (cues[mid].start > timeMs) return;
+  if (timeMs < cues[mid].end) active.push(cues[mid]);
+  collectActive(cues, maxEnd, mid + 1, hi, timeMs, active);
+}
+
+/**
+ * Push the cues of cues[lo, hi) overlapping [startMs, endMs), in start order
+ * @private
+ */
+function collectOverlapping(cues, maxEnd, lo, hi, startMs, endMs, found) {
+  if (lo >= hi) return;
+  const mid = (lo + hi) >>> 1;
+  if (maxEnd[mid] <= startMs) return;
+
+  collectOverlapping(cues, maxEnd, lo, mid, startMs, endMs, found);
+  if (cues[mid].start >= endMs) return;
+  if (cues[mid].end > startMs) found.push(cues[mid]);
+  collectOverlapping(cues, maxEnd, mid + 1, hi, startMs, endMs, found);
+}
+
+/**
+ * Length of the prefix of a sorted array matching a predicate (binary search)
+ * @private
+ */
+function countWhere(sorted, matches) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (matches(sorted[mid])) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+  return lo;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { createCueStore, getCueStore };
+
+console.log('[LinguaFlix] cue-store.js loaded');
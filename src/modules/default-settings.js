@@ -0,0 +1,61 @@
+/**
+ * default-settings.js
+ *
+ * Default value of every setting stored in chrome.storage.sync, in one place for:
+ * - settings.js (MAIN world, static import)
+ * - settings-injector.js (ISOLATED world content script, dynamic import)
+ * - options.js (options page)
+ * A new setting is added here only; the options page needs a control with the same id
+ *
+ * Exports: { DEFAULT_SETTINGS }
+ */
+
+const DEFAULT_SETTINGS = {
+  overlayLanguage: 'pl',           // Default: Polish
+  overlayFallbackLanguages: [],    // Tried in order when the title has no overlayLanguage track
+  showSecondOverlay: false,        // Also show the next available language of the list
+  autoLanguageRoles: false,        // Pick the overlay language from the audio track (native ↔ target)
+  nativeLanguage: '',              // Overlay language while the audio is in targetLanguage
+  targetLanguage: '',              // Overlay language while the audio is in nativeLanguage
+  preferClosedCaptions: false,     // Default: prefer regular subtitles
+  displayMode: 'pause',            // 'pause' | 'always' | 'hold'
+  showSourceLine: true,            // Show the playing-language line above the translation on pause
+  contextLines: 0,                 // Previous/next overlay lines shown around the paused one
+  showTimestamps: false,           // Prefix context lines with their start time
+  showFullSentence: true,          // On pause, show the whole sentence a split cue belongs to
+  overlayFontSize: 24,             // Overlay translation font size (px)
+  overlayFontFamily: "'Helvetica Neue', Arial, sans-serif", // Overlay font stack
+  overlayTextColor: '#ffffff',     // Overlay text color
+  overlayBackgroundColor: '#000000', // Overlay background color
+  overlayBackgroundOpacity: 90,    // Overlay background opacity (%)
+  overlayBorderColor: '#4caf50',   // Overlay border color
+  overlayBorderWidth: 2,           // Overlay border width (px), 0 = none
+  overlayMaxWidth: 80,             // Overlay max width (% of the player)
+  overlayVerticalPosition: 12,     // Default overlay top (% of the player), when not dragged
+  autoPlacement: true,             // Shift overlay off native subtitles and player controls
+  interactiveOverlay: false,       // Clickable words with copy/dictionary popup
+  transcriptPanel: true,           // Collapsible transcript side panel on the player
+  keyBindings: {                   // Shortcut per action (KeyboardEvent.code combos, '' = off)
+    previousLine: 'KeyA',          // Seek to the previous subtitle line
+    nextLine: 'KeyD',              // Seek to the next subtitle line
+    replayLine: 'KeyR',            // Replay the current line
+    loopLine: 'KeyL',              // Repeat the current line (again to stop)
+    toggleOverlay: 'KeyV',         // Show/hide the overlay
+    toggleTranscript: 'KeyT',      // Open/close the transcript panel
+    peekOverlay: 'KeyQ',           // Hold to show the overlay without pausing
+    saveLine: 'KeyB',              // Save the current line to the notebook
+    undoSkip: 'KeyU'               // Go back into the scene skipped by the dialogue-only mode
+  },
+  autoPause: false,                // Learning mode: pause at the end of every line
+  autoPauseMinChars: 0,            // Lines shorter than this play through (characters)
+  autoPauseResumeDelay: 0,         // Resume after this many seconds, 0 = stay paused
+  loopPasses: 3,                   // Repeat-line loop: times the line plays in total
+  loopPlaybackRate: 0.75,          // Repeat-line loop speed from the second pass (1 = normal)
+  adaptiveSpeed: false,            // Slow down during dense dialogue
+  adaptiveSpeedMaxCps: 15,         // Lines faster than this (characters per second) are slowed down
+  adaptiveSpeedMinRate: 0.75,      // Slowest adaptive playback rate
+  skipSilence: false,              // Dialogue-only mode: skip long stretches without lines
+  skipSilenceMinGap: 10            // Gaps between lines longer than this are skipped (seconds)
+};
+
+export { DEFAULT_SETTINGS };
@@ -0,0 +1,95 @@
+/**
+ * dictionary.js
+ *
+ * Pluggable dictionary sources for word lookups from the overlay
+ * A source is { id, name, lookup(word, language) → Promise<Array<{headword, definitions}>> };
+ * sources are queried in registration order and their results concatenated
+ *
+ * Built-in source: 'offline' - dictionaries imported on the options page
+ * (StarDict / JSON word lists in IndexedDB, looked up by the background worker)
+ *
+ * Dependencies: ExtensionBridge (sendToExtension)
+ *
+ * Public API:
+ * - registerDictionarySource(source) → Function (unregister)
+ * - lookupWord(word, language) → Promise<Array<{source, dictionary, headword, definitions}>>
+ */
+
+import { sendToExtension } from './extension-bridge.js';
+
+// ============================================================================
+// MODULE STATE (private)
+// ============================================================================
+
+const sources = [];
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Add a dictionary source (replaces a source with the same id)
+ * @param {{id: string, name: string, lookup: Function}} source - Source definition;
+ *   lookup(word, language) resolves to [{ headword, definitions: string[], dictionary? }]
+ * @returns {Function} Unregister function
+ */
+function registerDictionarySource(source) {
+  if (!source?.id || typeof source.lookup !== 'function') {
+    throw new Error('Dictionary source needs an id and a lookup function');
+  }
+
+  const index = sources.findIndex(s => s.id === source.id);
+  if (index !== -1) {
+    sources.splice(index, 1, source);
+  } else {
+    sources.push(source);
+  }
+
+  return () => {
+    const i = sources.indexOf(source);
+    if (i !== -1) sources.splice(i, 1);
+  };
+}
+
+/**
+ * Look a word up in all registered sources
+ * A failing source is logged and skipped, so one broken source doesn't hide the others
+ * @param {string} word - Word as shown in the overlay
+ * @param {string} language - BCP-47 code of the line the word comes from
+ * @returns {Promise<Array<{source: string, dictionary: string, headword: string, definitions: string[]}>>}
+ */
+async function lookupWord(word, language) {
+  const results = await Promise.all(sources.map(async (source) => {
+    try {
+      const entries = await source.lookup(word, language);
+      return (entries || []).map(entry => ({
+        source: source.id,
+        dictionary: entry.dictionary || source.name,
+        headword: entry.headword,
+        definitions: entry.definitions || []
+      }));
+    } catch (err) {
+      console.error(`[LinguaFlix] Dictionary source "${source.id}" failed:`, err);
+      return [];
+    }
+  }));
+  return results.flat();
+}
+
+// ============================================================================
+// BUILT-IN SOURCES
+// ============================================================================
+
+registerDictionarySource({
+  id: 'offline',
+  name: 'Offline dictionary',
+  lookup: (word, language) => sendToExtension('lookupWord', { word, language })
+});
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { registerDictionarySource, lookupWord };
+
+console.log('[LinguaFlix] dictionary.js loaded');
@@ -0,0 +1,153 @@
+/**
+ * extension-bridge.js
+ *
+ * MAIN world side of the bridge to extension APIs
+ * MAIN world scripts can't use chrome.storage / chrome.runtime, so requests are
+ * posted to bridge-relay.js (ISOLATED world) and answered the same way
+ * The other direction works too: extension pages (e.g. the popup) send requests
+ * to the tab, the relay forwards them here and handlers registered with
+ * registerPageHandler() answer
+ *
+ * Public API:
+ * - sendToExtension(type, payload) → Promise<any>
+ * - registerPageHandler(type, handler) → Function (unregister)
+ * - cleanup() → void
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const PAGE_SOURCE = 'linguaflix-page';
+const RELAY_SOURCE = 'linguaflix-relay';
+const RELAY_REQUEST_SOURCE = 'linguaflix-relay-request';
+const PAGE_RESPONSE_SOURCE = 'linguaflix-page-response';
+const REQUEST_TIMEOUT_MS = 5000;
+
+// ============================================================================
+// MODULE STATE (private)
+// ============================================================================
+
+let nextRequestId = 1;
+const pendingRequests = new Map(); // id → { resolve, reject, timer }
+let responseListenerAttached = false;
+const pageHandlers = new Map();          // type → handler(payload) for requests from extension pages
+let requestListener = null;
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Send a request to the extension through the ISOLATED world relay
+ * @param {string} type - Request type (must be handled in bridge-relay.js)
+ * @param {Object} payload - Request data (structured-cloneable)
+ * @returns {Promise<any>} Handler result; rejects on handler error or timeout
+ */
+function sendToExtension(type, payload = {}) {
+  attachResponseListener();
+
+  return new Promise((resolve, reject) => {
+    const id = `${Date.now()}-${nextRequestId++}`;
+    const timer = setTimeout(() => {
+      pendingRequests.delete(id);
+      reject(new Error(`Bridge request "${type}" timed out`));
+    }, REQUEST_TIMEOUT_MS);
+
+    pendingRequests.set(id, { resolve, reject, timer });
+    window.postMessage({ source: PAGE_SOURCE, id, type, payload }, window.location.origin);
+  });
+}
+
+/**
+ * Answer requests of the given type coming from extension pages (via the relay)
+ * Request types must also be whitelisted in bridge-relay.js
+ * @param {string} type - Request type
+ * @param {Function} handler - (payload) => result | Promise<result> (structured-cloneable)
+ * @returns {Function} Unregister function
+ */
+function registerPageHandler(type, handler) {
+  attachRequestListener();
+  pageHandlers.set(type, handler);
+  return () => {
+    if (pageHandlers.get(type) === handler) pageHandlers.delete(type);
+  };
+}
+
+/**
+ * Remove all page handlers (pending outgoing requests are left to settle)
+ */
+function cleanup() {
+  pageHandlers.clear();
+  if (requestListener) {
+    window.removeEventListener('message', requestListener);
+    requestListener = null;
+  }
+}
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Run page handlers for relayed requests and post the result back
+ * Unknown types are left unanswered, so the relay reports a timeout
+ * @private
+ */
+function attachRequestListener() {
+  if (requestListener) return;
+
+  requestListener = async (event) => {
+    const message = event.data;
+    if (event.source !== window || message?.source !== RELAY_REQUEST_SOURCE || !message.id) return;
+
+    const handler = pageHandlers.get(message.type);
+    if (!handler) return;
+
+    const response = { source: PAGE_RESPONSE_SOURCE, id: message.id };
+    try {
+      response.result = await handler(message.payload || {});
+      response.ok = true;
+    } catch (err) {
+      console.error('[LinguaFlix] Page request failed:', message.type, err);
+      response.ok = false;
+      response.error = String(err?.message || err);
+    }
+    window.postMessage(response, window.location.origin);
+  };
+  window.addEventListener('message', requestListener);
+}
+
+/**
+ * Resolve pending requests from relay responses (attached once per page)
+ * @private
+ */
+function attachResponseListener() {
+  if (responseListenerAttached) return;
+  responseListenerAttached = true;
+
+  window.addEventListener('message', (event) => {
+    const message = event.data;
+    if (event.source !== window || message?.source !== RELAY_SOURCE) return;
+
+    const pending = pendingRequests.get(message.id);
+    if (!pending) return;
+
+    pendingRequests.delete(message.id);
+    clearTimeout(pending.timer);
+
+    if (message.ok) {
+      pending.resolve(message.result);
+    } else {
+      pending.reject(new Error(message.error || 'Bridge request failed'));
+    }
+  });
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { sendToExtension, registerPageHandler, cleanup };
+
+console.log('[LinguaFlix] extension-bridge.js loaded');
@@ -0,0 +1,170 @@
+/**
+ * keyboard-shortcuts.js
+ *
+ * Listens for LinguaFlix key bindings on the Netflix page
+ * Bindings use KeyboardEvent.code with optional modifiers, e.g. "KeyQ" or
+ * "Shift+ArrowLeft", so they work regardless of keyboard layout
+ *
+ * Public API:
+ * - setupKeyboardShortcuts(shortcuts) → void
+ * - comboFromEvent(event) → string
+ * - cleanup() → void
+ */
+
+// ============================================================================
+// MODULE STATE (private)
+// ============================================================================
+
+let shortcutList = [];
+let keydownHandler = null;
+let keyupHandler = null;
+let blurHandler = null;
+const heldShortcuts = new Set();
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Attach key listeners for the given shortcuts
+ * Calling it again replaces the previous set of shortcuts
+ * @param {Array<{combo: string, onPress: Function, onRelease?: Function}>} shortcuts
+ *   - combo: Key combination (e.g. 'KeyQ', 'Shift+ArrowLeft')
+ *   - onPress: Fired once when the combination is pressed (key repeat ignored)
+ *   - onRelease: Optional, fired when the key is released (hold-style shortcut)
+ */
+function setupKeyboardShortcuts(shortcuts) {
+  console.debug('[LinguaFlix] setupKeyboardShortcuts() called');
+
+  if (keydownHandler) cleanup();
+
+  shortcutList = (shortcuts || []).filter(s => s?.combo && typeof s.onPress === 'function');
+  if (!shortcutList.length) {
+    console.debug('[LinguaFlix] No keyboard shortcuts to attach');
+    return;
+  }
+
+  keydownHandler = (event) => {
+    if (isTypingTarget(event.target)) return;
+
+    const combo = comboFromEvent(event);
+    const shortcut = shortcutList.find(s => s.combo === combo);
+    if (!shortcut) return;
+
+    // Keep Netflix from acting on keys we own
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (event.repeat || heldShortcuts.has(shortcut)) return;
+    if (shortcut.onRelease) heldShortcuts.add(shortcut);
+
+    runHandler(shortcut.onPress, combo);
+  };
+
+  keyupHandler = (event) => {
+    for (const shortcut of heldShortcuts) {
+      if (keyCodeOf(shortcut.combo) !== event.code) continue;
+      heldShortcuts.delete(shortcut);
+      event.stopPropagation();
+      runHandler(shortcut.onRelease, shortcut.combo);
+    }
+  };
+
+  // Releasing a key outside the window never fires keyup
+  blurHandler = () => releaseAll();
+
+  window.addEventListener('keydown', keydownHandler, true);
+  window.addEventListener('keyup', keyupHandler, true);
+  window.addEventListener('blur', blurHandler);
+
+  console.log('[LinguaFlix] Keyboard shortcuts attached:', shortcutList.map(s => s.combo).join(', '));
+}
+
+/**
+ * Build the combination string for a keyboard event
+ * Modifier order is fixed: Ctrl, Alt, Shift, Meta
+ * @param {KeyboardEvent} event - Keyboard event
+ * @returns {string} Combination (e.g. 'Ctrl+Shift+KeyS')
+ */
+function comboFromEvent(event) {
+  const parts = [];
+  if (event.ctrlKey) parts.push('Ctrl');
+  if (event.altKey) parts.push('Alt');
+  if (event.shiftKey) parts.push('Shift');
+  if (event.metaKey) parts.push('Meta');
+  parts.push(event.code);
+  return parts.join('+');
+}
+
+/**
+ * Cleanup: releases held shortcuts and detaches listeners
+ */
+function cleanup() {
+  console.debug('[LinguaFlix] KeyboardShortcuts cleanup() called');
+
+  releaseAll();
+
+  if (keydownHandler) window.removeEventListener('keydown', keydownHandler, true);
+  if (keyupHandler) window.removeEventListener('keyup', keyupHandler, true);
+  if (blurHandler) window.removeEventListener('blur', blurHandler);
+
+  shortcutList = [];
+  keydownHandler = null;
+  keyupHandler = null;
+  blurHandler = null;
+
+  console.log('[LinguaFlix] Keyboard shortcuts cleaned up');
+}
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Fire onRelease for every held shortcut
+ * @private
+ */
+function releaseAll() {
+  for (const shortcut of heldShortcuts) {
+    runHandler(shortcut.onRelease, shortcut.combo);
+  }
+  heldShortcuts.clear();
+}
+
+/**
+ * Run a shortcut handler, isolating its errors
+ * @private
+ */
+function runHandler(handler, combo) {
+  try {
+    handler?.();
+  } catch (e) {
+    console.error('[LinguaFlix] Error in shortcut handler for ' + combo + ':', e);
+  }
+}
+
+/**
+ * Key code part of a combination ('Shift+KeyQ' → 'KeyQ')
+ * @private
+ */
+function keyCodeOf(combo) {
+  return combo.split('+').pop();
+}
+
+/**
+ * True when the user is typing into a form field (e.g. Netflix search)
+ * @private
+ */
+function isTypingTarget(target) {
+  if (!target) return false;
+  const tag = (target.tagName || '').toLowerCase();
+  return tag === 'input' || tag === 'textarea' || tag === 'select' || target.isContentEditable;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { setupKeyboardShortcuts, comboFromEvent, cleanup };
+
+console.log('[LinguaFlix] keyboard-shortcuts.js loaded');
@@ -0,0 +1,35 @@
+/**
+ * language-names.js
+ *
+ * Localized language names for BCP-47 codes
+ * Shared by content.js and subtitle-display.js (Netflix page) and the popup
+ *
+ * Public API:
+ * - getLanguageName(language, uiLanguage) → string
+ */
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Localized language name for a BCP-47 code (falls back to the code)
+ * @param {string} language - BCP-47 code
+ * @param {string} uiLanguage - Language to name it in (default: the browser's)
+ * @returns {string}
+ */
+function getLanguageName(language, uiLanguage = navigator.language) {
+  try {
+    return new Intl.DisplayNames([uiLanguage], { type: 'language' }).of(language) || language;
+  } catch {
+    return language;
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { getLanguageName };
+
+console.log('[LinguaFlix] language-names.js loaded');
@@ -0,0 +1,204 @@
+/**
+ * language-tags.js
+ *
+ * BCP-47 language tags: parsing (language, script, region) and matching a
+ * track's tag against a language preference from the settings
+ *
+ * A preference is a tag, optionally followed by '*':
+ * - 'pt'      any variant of the language (the closest one wins)
+ * - 'pt-BR'   exactly this variant (stated subtags must match)
+ * - 'pt-BR*'  any variant, preferring pt-BR
+ * Scripts implied by a region are taken into account ('zh-TW' is Traditional
+ * Chinese, so it matches 'zh-Hant', and a 'zh-Hant' track satisfies 'zh-TW'),
+ * as are deprecated codes ('iw' is 'he')
+ *
+ * Public API:
+ * - parseLanguageTag(tag) → { language, script, region, tag } | null
+ * - parseLanguagePreference(preference) → { tag, anyVariant } | null
+ * - matchLanguage(tag, preference) → number (-1 = no match, higher = closer)
+ * - findBestMatch(items, preference, getTag) → item | null
+ * - isBroaderTag(tag, preference) → boolean
+ * - sameLanguage(a, b) → boolean
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Deprecated or alternative language subtags → the code Netflix uses
+const LANGUAGE_ALIASES = { iw: 'he', in: 'id', ji: 'yi', no: 'nb', tl: 'fil' };
+
+// Script a tag implies when it states none (per language: region → script, '' = any other region)
+const IMPLIED_SCRIPTS = {
+  zh: { TW: 'Hant', HK: 'Hant', MO: 'Hant', '': 'Hans' },
+  sr: { '': 'Cyrl' }
+};
+
+// Regions containing others (UN M.49 codes Netflix uses): es-MX is closer to es-419 than to es-ES
+const REGION_GROUPS = {
+  419: ['AR', 'BO', 'CL', 'CO', 'CR', 'CU', 'DO', 'EC', 'GT', 'HN', 'MX', 'NI', 'PA', 'PE', 'PR', 'PY', 'SV', 'UY', 'VE']
+};
+
+const SCRIPT_SCORE = 4;   // Same script: e.g. Simplified vs Traditional Chinese, the biggest difference
+const REGION_SCORE = 2;   // Same region (or both without one); half of it when one contains the other
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Split a BCP-47 tag into its subtags
+ * Accepts '_' separators and any case ('pt_br' → pt-BR); extensions and variants are ignored
+ * @param {string} tag - Language tag (e.g. 'zh-Hant-TW', 'es-419')
+ * @returns {{language: string, script: string|undefined, region: string|undefined, tag: string}|null}
+ *   script is the stated or implied one; tag is the canonical form of the stated subtags
+ */
+function parseLanguageTag(tag) {
+  if (typeof tag !== 'string') return null;
+  const [first, ...subtags] = tag.trim().split(/[-_]/);
+  if (!/^[a-z]{2,3}$/i.test(first)) return null;
+
+  const language = LANGUAGE_ALIASES[first.toLowerCase()] || first.toLowerCase();
+  let script;
+  let region;
+  for (const subtag of subtags) {
+    if (subtag.length === 1) break; // Extensions and private use
+    if (!script && !region && /^[a-z]{4}$/i.test(subtag)) {
+      script = subtag[0].toUpperCase() + subtag.slice(1).toLowerCase();
+    } else if (!region && /^([a-z]{2}|\d{3})$/i.test(subtag)) {
+      region = subtag.toUpperCase();
+    }
+  }
+
+  const implied = IMPLIED_SCRIPTS[language];
+  return {
+    language,
+    script: script || (implied ? implied[region] || implied[''] : undefined),
+    region,
+    tag: [language, script, region].filter(Boolean).join('-')
+  };
+}
+
+/**
+ * Read a language preference from the settings
+ * A tag without subtags always accepts any variant
+ * @param {string} preference - e.g. 'pt', 'pt-BR', 'pt-BR*'
+ * @returns {{tag: string, anyVariant: boolean}|null} null when the tag can't be parsed
+ */
+function parseLanguagePreference(preference) {
+  if (typeof preference !== 'string') return null;
+  const anyVariant = preference.trim().endsWith('*');
+  const parsed = parseLanguageTag(preference.trim().replace(/\*$/, ''));
+  if (!parsed) return null;
+  return { tag: parsed.tag, anyVariant: anyVariant || parsed.tag === parsed.language };
+}
+
+/**
+ * How well a tag satisfies a preference
+ * Exact preferences need every stated subtag (and the script it implies) to match,
+ * except that a tag stating only a script satisfies a region implying that script;
+ * any-variant preferences need the language only, and score the rest
+ * @param {string} tag - Tag to test (e.g. a track's bcp47)
+ * @param {string} preference - Preference (see the header)
+ * @returns {number} -1 when the tag doesn't match; otherwise higher for closer variants
+ */
+function matchLanguage(tag, preference) {
+  const wanted = parseLanguagePreference(preference);
+  const candidate = parseLanguageTag(tag);
+  if (!wanted || !candidate) return -1;
+
+  const target = parseLanguageTag(wanted.tag);
+  if (candidate.language !== target.language) return -1;
+
+  const sameScript = candidate.script === target.script;
+  const sameRegion = candidate.region === target.region;
+  if (!wanted.anyVariant) {
+    if (target.script && !sameScript) return -1;
+    // 'zh-Hant' names the variant 'zh-TW' asks for, without the region
+    const scriptOnly = sameScript && !candidate.region && statesScript(candidate);
+    if (target.region && !sameRegion && !scriptOnly) return -1;
+  }
+
+  const regionScore = sameRegion ? REGION_SCORE : (regionContains(candidate.region, target.region) ? REGION_SCORE / 2 : 0);
+  return (sameScript ? SCRIPT_SCORE : 0) + regionScore + (candidate.tag === target.tag ? 1 : 0);
+}
+
+/**
+ * Item whose tag best satisfies a preference (the first one on ties)
+ * @param {Array} items - Candidates (e.g. tracks, cache keys)
+ * @param {string} preference - Preference (see the header)
+ * @param {Function} [getTag] - item => tag (defaults to the item itself)
+ * @returns {*} Best item, or null when none matches
+ */
+function findBestMatch(items, preference, getTag = item => item) {
+  let best = null;
+  let bestScore = -1;
+  for (const item of items) {
+    const score = matchLanguage(getTag(item), preference);
+    if (score > bestScore) {
+      best = item;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Whether a tag is a less specific form of a preference: same language and script
+ * (stated or implied), and no region or the same one ('pt' for 'pt-BR', 'zh-Hant' for 'zh-TW')
+ * For tags that may leave out subtags, e.g. the xml:lang of a TTML file
+ * @param {string} tag - Tag to test
+ * @param {string} preference - Preference (see the header)
+ * @returns {boolean}
+ */
+function isBroaderTag(tag, preference) {
+  const wanted = parseLanguagePreference(preference);
+  const candidate = parseLanguageTag(tag);
+  if (!wanted || !candidate) return false;
+
+  const target = parseLanguageTag(wanted.tag);
+  return candidate.language === target.language
+    && candidate.script === target.script
+    && (!candidate.region || candidate.region === target.region);
+}
+
+/**
+ * Whether two tags or preferences name the same language, whatever the variant
+ * ('pt-BR' and 'pt-PT*' do; 'iw' and 'he' do)
+ * @param {string} a - Tag or preference
+ * @param {string} b - Tag or preference
+ * @returns {boolean}
+ */
+function sameLanguage(a, b) {
+  const first = parseLanguagePreference(a);
+  const second = parseLanguagePreference(b);
+  return !!first && !!second && parseLanguageTag(first.tag).language === parseLanguageTag(second.tag).language;
+}
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Whether a parsed tag states its script ('zh-Hant') rather than implying it ('zh-TW')
+ * @private
+ */
+function statesScript(parsed) {
+  return parsed.tag.split('-')[1]?.length === 4;
+}
+
+/**
+ * Whether one of two regions contains the other (e.g. 419 and MX)
+ * @private
+ */
+function regionContains(a, b) {
+  return !!a && !!b && (REGION_GROUPS[a]?.includes(b) || REGION_GROUPS[b]?.includes(a));
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { parseLanguageTag, parseLanguagePreference, matchLanguage, findBestMatch, isBroaderTag, sameLanguage };
+
+console.log('[LinguaFlix] language-tags.js loaded');
@@ -0,0 +1,234 @@
+/**
+ * line-loop.js
+ *
+ * Repeat-line loop: replays one line (an A–B loop bound to its cue) a set
+ * number of times, optionally slower from the second pass on, then restores
+ * the playback speed and lets the video continue
+ *
+ * The loop seeks back while the video plays, which Netflix may answer with
+ * its own pause/play events: isSeeking() tells the orchestrator to ignore them
+ *
+ * Dependencies: PlaybackClock (addTickListener)
+ *
+ * Public API:
+ * - startLoop(video, range, options) → void
+ * - stopLoop() → void
+ * - isLooping() → boolean
+ * - isSeeking() → boolean
+ * - cleanup() → void
+ */
+
+import { addTickListener } from './playback-clock.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const END_LEAD_MS = 80;         // Seek back this early: ticks come once per frame
+const MAX_LATE_MS = 500;        // Further past the end means the user seeked away: stop looping
+const SEEK_SETTLE_MS = 2000;    // Longest an internal seek may keep pause/play events suppressed
+
+// ============================================================================
+// MODULE STATE (private)
+// ============================================================================
+
+let trackedVideo = null;
+let loop = null;          // { start, end, passes, pass, slowRate, originalRate, seek, setPlaybackRate }
+let seeking = false;      // An internal seek is in flight
+let settleTimer = null;
+let stopTicking = null;
+let seekedHandler = null;
+let playingHandler = null;
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Start looping a line (replaces a running loop)
+ * Seeks to the start of the line and plays it `passes` times in total
+ * Needs the playback clock running for the same video (PlaybackClock.setupPlaybackClock)
+ * @param {HTMLVideoElement} video - Video element
+ * @param {{start: number, end: number}} range - Loop boundaries in ms (the cue being looped)
+ * @param {Object} options
+ * @param {number} options.passes - How many times the line plays (at least 2)
+ * @param {number} options.slowRate - Playback rate from the second pass on (1 = unchanged)
+ * @param {Function} options.seek - (timeMs) => boolean, seeks through the Netflix player
+ * @param {Function} options.play - Resumes playback (through the Netflix player)
+ * @param {Function} options.setPlaybackRate - (rate) => void
+ */
+function startLoop(video, range, { passes = 3, slowRate = 1, seek, play, setPlaybackRate }) {
+  console.debug('[LinguaFlix] startLoop() called');
+
+  if (trackedVideo) cleanup();
+
+  if (!video || !(video instanceof HTMLVideoElement)) {
+    console.error('[LinguaFlix] startLoop: invalid video element');
+    return;
+  }
+
+  if (!Number.isFinite(range?.start) || !Number.isFinite(range?.end) || range.end <= range.start) {
+    console.error('[LinguaFlix] startLoop: invalid loop range', range);
+    return;
+  }
+
+  trackedVideo = video;
+  loop = {
+    start: range.start,
+    end: range.end,
+    passes: Math.max(2, Math.round(passes) || 2),
+    pass: 1,
+    slowRate: slowRate > 0 ? slowRate : 1,
+    originalRate: video.playbackRate || 1,
+    seek,
+    setPlaybackRate
+  };
+
+  // The internal seek is over once playback moves again
+  seekedHandler = () => {
+    if (!video.paused) settleSeek();
+  };
+  playingHandler = () => settleSeek();
+  video.addEventListener('seeked', seekedHandler);
+  video.addEventListener('playing', playingHandler);
+
+  stopTicking = addTickListener(handleTick);
+
+  console.log(`[LinguaFlix] Looping ${loop.start}–${loop.end}ms, ${loop.passes} passes (then ${loop.slowRate}×)`);
+
+  if (video.paused) {
+    // Starting from a pause is a real resume: its pause/play events are not suppressed
+    if (loop.seek(loop.start)) {
+      play();
+    } else {
+      cleanup();
+    }
+  } else {
+    seekToStart();
+  }
+}
+
+/**
+ * Stop the running loop, restoring the playback speed (playback goes on)
+ */
+function stopLoop() {
+  if (!loop) return;
+  console.log('[LinguaFlix] Loop stopped');
+  cleanup();
+}
+
+/**
+ * Whether a line is being looped
+ * @returns {boolean}
+ */
+function isLooping() {
+  return loop !== null;
+}
+
+/**
+ * Whether the loop is seeking back: pause/play events until then are its own
+ * @returns {boolean}
+ */
+function isSeeking() {
+  return seeking;
+}
+
+/**
+ * Cleanup: restores the playback speed and detaches listeners
+ */
+function cleanup() {
+  console.debug('[LinguaFlix] LineLoop cleanup() called');
+
+  if (loop) applyRate(loop.originalRate);
+
+  stopTicking?.();
+  clearTimeout(settleTimer);
+  if (trackedVideo) {
+    if (seekedHandler) trackedVideo.removeEventListener('seeked', seekedHandler);
+    if (playingHandler) trackedVideo.removeEventListener('playing', playingHandler);
+  }
+
+  trackedVideo = null;
+  loop = null;
+  seeking = false;
+  settleTimer = null;
+  stopTicking = null;
+  seekedHandler = null;
+  playingHandler = null;
+}
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Seek back at the end of each pass, finish after the last one
+ * @private
+ */
+function handleTick(timeMs) {
+  if (!loop || seeking || trackedVideo.paused) return;
+
+  // Jumped elsewhere (seek bar, line navigation): the loop no longer applies
+  if (timeMs < loop.start - MAX_LATE_MS || timeMs >= loop.end + MAX_LATE_MS) {
+    stopLoop();
+    return;
+  }
+
+  if (timeMs < loop.end - END_LEAD_MS) return;
+
+  if (loop.pass >= loop.passes) {
+    console.log('[LinguaFlix] Loop finished');
+    cleanup();
+    return;
+  }
+
+  loop.pass++;
+  seekToStart();
+}
+
+/**
+ * Seek to the loop start at the speed of the current pass
+ * @private
+ */
+function seekToStart() {
+  applyRate(loop.pass > 1 ? loop.slowRate : loop.originalRate);
+
+  seeking = true;
+  clearTimeout(settleTimer);
+  settleTimer = setTimeout(settleSeek, SEEK_SETTLE_MS);
+
+  if (!loop.seek(loop.start)) {
+    console.warn('[LinguaFlix] Loop seek failed, stopping loop');
+    cleanup();
+  }
+}
+
+/**
+ * End of an internal seek: pause/play events are the user's again
+ * @private
+ */
+function settleSeek() {
+  clearTimeout(settleTimer);
+  settleTimer = null;
+  seeking = false;
+}
+
+/**
+ * Set the playback rate, isolating player errors
+ * @private
+ */
+function applyRate(rate) {
+  try {
+    loop?.setPlaybackRate?.(rate);
+  } catch (e) {
+    console.error('[LinguaFlix] Error setting loop playback rate:', e);
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { startLoop, stopLoop, isLooping, isSeeking, cleanup };
+
+console.log('[LinguaFlix] line-loop.js loaded');
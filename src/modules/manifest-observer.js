@@ -0,0 +1,130 @@
+/**
+ * manifest-observer.js
+ *
+ * Reads the timed-text download URLs of every subtitle track from the
+ * playback manifests Netflix loads, so any track can be fetched directly
+ * without switching the player's visible track
+ *
+ * The manifests are captured by manifest-hook.js, which wraps JSON.parse in
+ * the MAIN world at document_start (window.__linguaflixManifests); this module
+ * only interprets them. They are kept per movieId, a few titles back: the next
+ * episode's manifest can arrive before the navigation that cleans up the title
+ * being left (SubtitleFetcher.cleanup() forgets that one's manifest)
+ *
+ * Public API:
+ * - getTimedTextUrls(movieId, track) → [url, ...] (empty when unknown)
+ * - forgetManifest(movieId) → void
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// TTML download profiles parseTTML reads, by preference (image-based and WebVTT ones are skipped)
+const TTML_PROFILES = ['imsc1.1', 'dfxp-ls-sdh', 'simplesdh'];
+
+// ============================================================================
+// MODULE STATE (private)
+// ============================================================================
+
+const parsedTracks = new WeakMap(); // captured manifest → [{ ids, language, rawTrackType, urls }]
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Download URLs of a subtitle track (one per CDN, preferred first)
+ * Only the manifest of movieId is searched. The track is found by its id, or else
+ * by language and track type when exactly one track of the title has both
+ * @param {string|number} movieId - Netflix movieId
+ * @param {Object} track - Timed text track from the player session ({ trackId, bcp47, rawTrackType })
+ * @returns {string[]} TTML URLs (empty when the manifest or the track is unknown)
+ */
+function getTimedTextUrls(movieId, track) {
+  const tracks = getManifestTracks(movieId);
+  if (!tracks.length || !track) return [];
+
+  const trackId = String(track.trackId ?? '');
+  const byId = trackId && tracks.find(entry => entry.ids.includes(trackId));
+  if (byId) return byId.urls;
+
+  const rawTrackType = String(track.rawTrackType || '').toLowerCase();
+  const byLanguage = tracks.filter(entry => entry.language === track.bcp47 && entry.rawTrackType === rawTrackType);
+  return byLanguage.length === 1 ? byLanguage[0].urls : [];
+}
+
+/**
+ * Drop the manifest of a title (its download URLs are signed and expire;
+ * Netflix loads a new manifest when the title is played again)
+ * @param {string|number} movieId - Netflix movieId
+ */
+function forgetManifest(movieId) {
+  const manifests = getCapturedManifests();
+  for (let index = manifests.length - 1; index >= 0; index--) {
+    if (manifests[index].movieId === String(movieId)) manifests.splice(index, 1);
+  }
+}
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Manifests captured by manifest-hook.js ([] when it didn't run)
+ * @private
+ */
+function getCapturedManifests() {
+  return Array.isArray(window.__linguaflixManifests) ? window.__linguaflixManifests : [];
+}
+
+/**
+ * Subtitle tracks with TTML downloads in the latest manifest of a title
+ * @private
+ */
+function getManifestTracks(movieId) {
+  const manifest = getCapturedManifests().findLast(entry => entry.movieId === String(movieId));
+  if (!manifest) return [];
+
+  if (!parsedTracks.has(manifest)) {
+    const tracks = manifest.timedtexttracks
+      .filter(track => track && !track.isNoneTrack && !track.isForcedNarrative)
+      .map(track => ({
+        ids: [track.new_track_id, track.id].filter(id => ['string', 'number'].includes(typeof id)).map(String),
+        language: track.language,
+        rawTrackType: String(track.rawTrackType || '').toLowerCase(),
+        urls: getDownloadUrls(track.ttDownloadables)
+      }))
+      .filter(track => track.urls.length);
+    parsedTracks.set(manifest, tracks);
+    console.log(`[LinguaFlix] Playback manifest for ${manifest.movieId}: ${tracks.length} subtitle tracks`);
+  }
+  return parsedTracks.get(manifest);
+}
+
+/**
+ * URLs of the first TTML profile a track offers
+ * Downloadables list them as downloadUrls ({ cdnId: url }) or urls ([{ url }])
+ * @private
+ */
+function getDownloadUrls(downloadables) {
+  for (const profile of TTML_PROFILES) {
+    const downloadable = downloadables?.[profile];
+    if (!downloadable) continue;
+
+    const urls = [
+      ...Object.values(downloadable.downloadUrls || {}),
+      ...(Array.isArray(downloadable.urls) ? downloadable.urls.map(entry => entry?.url) : [])
+    ].filter(url => typeof url === 'string' && url.startsWith('https://'));
+    if (urls.length) return urls;
+  }
+  return [];
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { getTimedTextUrls, forgetManifest };
+
+console.log('[LinguaFlix] manifest-observer.js loaded');
@@ -0,0 +1,122 @@
+/**
+ * overlay-appearance.js
+ *
+ * Builds overlay CSS from the user's appearance settings
+ * Shared by subtitle-display.js (Netflix page) and the options page preview,
+ * so both render the same styles
+ *
+ * Public API:
+ * - DEFAULT_APPEARANCE
+ * - getAppearance(settings) → appearance object
+ * - buildOverlayStyle(appearance) → string[] (CSS declarations)
+ * - buildLineStyle(role, appearance) → string[] (CSS declarations)
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Keys match the flat settings keys (see settings.js)
+const DEFAULT_APPEARANCE = {
+  overlayFontSize: 24,                                         // px
+  overlayFontFamily: "'Helvetica Neue', Arial, sans-serif",
+  overlayTextColor: '#ffffff',
+  overlayBackgroundColor: '#000000',
+  overlayBackgroundOpacity: 90,                                // %
+  overlayBorderColor: '#4caf50',
+  overlayBorderWidth: 2,                                       // px
+  overlayMaxWidth: 80,                                         // % of the player width
+  overlayVerticalPosition: 12                                  // % from the top
+};
+
+// Relative size and opacity per line role: the translation stays prominent
+const ROLE_STYLES = {
+  source: { scale: 0.83, weight: 'normal', opacity: 0.8 },
+  overlay: { scale: 1, weight: 'bold', opacity: 1 },
+  context: { scale: 0.75, weight: 'normal', opacity: 0.6 }
+};
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Pick appearance keys from a settings object, falling back to defaults
+ * Numeric values are coerced (form values may arrive as strings)
+ * @param {Object} settings - Settings object (may contain unrelated keys)
+ * @returns {Object} Appearance object with every DEFAULT_APPEARANCE key
+ */
+function getAppearance(settings = {}) {
+  const appearance = {};
+  for (const [key, defaultValue] of Object.entries(DEFAULT_APPEARANCE)) {
+    const value = settings[key] ?? defaultValue;
+    appearance[key] = typeof defaultValue === 'number'
+      ? (Number.isFinite(Number(value)) ? Number(value) : defaultValue)
+      : value;
+  }
+  return appearance;
+}
+
+/**
+ * CSS declarations for the overlay container (position excluded)
+ * @param {Object} appearance - Appearance object (see getAppearance)
+ * @returns {string[]} CSS declarations
+ */
+function buildOverlayStyle(appearance) {
+  const a = getAppearance(appearance);
+  return [
+    'background: ' + hexToRgba(a.overlayBackgroundColor, a.overlayBackgroundOpacity / 100),
+    'color: ' + a.overlayTextColor,
+    'padding: 20px 30px',
+    'border-radius: 10px',
+    'font-size: ' + a.overlayFontSize + 'px',
+    'font-weight: bold',
+    'max-width: ' + a.overlayMaxWidth + '%',
+    'text-align: center',
+    'box-shadow: 0 4px 20px rgba(0, 0, 0, 0.7)',
+    a.overlayBorderWidth > 0
+      ? 'border: ' + a.overlayBorderWidth + 'px solid ' + a.overlayBorderColor
+      : 'border: none',
+    'font-family: ' + a.overlayFontFamily,
+    'line-height: 1.4',
+    'white-space: pre-wrap'
+  ];
+}
+
+/**
+ * CSS declarations for one overlay line
+ * @param {string} role - 'source', 'overlay' or 'context'
+ * @param {Object} appearance - Appearance object (see getAppearance)
+ * @returns {string[]} CSS declarations
+ */
+function buildLineStyle(role, appearance) {
+  const a = getAppearance(appearance);
+  const roleStyle = ROLE_STYLES[role] || ROLE_STYLES.overlay;
+  return [
+    'font-size: ' + Math.round(a.overlayFontSize * roleStyle.scale) + 'px',
+    'font-weight: ' + roleStyle.weight,
+    'opacity: ' + roleStyle.opacity
+  ];
+}
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * '#rrggbb' + alpha → 'rgba(r, g, b, alpha)'
+ * @private
+ */
+function hexToRgba(hex, alpha) {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  const [r, g, b] = match ? match.slice(1).map(h => Number.parseInt(h, 16)) : [0, 0, 0];
+  return `rgba(${r}, ${g}, ${b}, ${Math.min(Math.max(alpha, 0), 1)})`;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { DEFAULT_APPEARANCE, getAppearance, buildOverlayStyle, buildLineStyle };
+
+console.log('[LinguaFlix] overlay-appearance.js loaded');
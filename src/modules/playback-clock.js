@@ -0,0 +1,176 @@
+/**
+ * playback-clock.js
+ *
+ * Ticks listeners with the current playback time while the video plays
+ * Uses requestVideoFrameCallback() (once per presented frame) and falls back
+ * to 'timeupdate' events where it is not available
+ *
+ * Public API:
+ * - setupPlaybackClock(video) → void
+ * - addTickListener(listener) → unsubscribe()
+ * - addCueChangeListener(findCues, onCueChange) → unsubscribe()
+ * - cleanup() → void
+ */
+
+// ============================================================================
+// MODULE STATE (private)
+// ============================================================================
+
+let clockVideo = null;
+let frameCallbackId = null;
+let timeUpdateHandler = null;
+let seekedHandler = null;
+const tickListeners = new Set();
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Start ticking for the given video element
+ * Calling it again with another video stops the previous clock first
+ * (registered listeners are kept)
+ * @param {HTMLVideoElement} video - Video element to follow
+ */
+function setupPlaybackClock(video) {
+  console.debug('[LinguaFlix] setupPlaybackClock() called');
+
+  if (!video || !(video instanceof HTMLVideoElement)) {
+    console.error('[LinguaFlix] setupPlaybackClock: invalid video element');
+    return;
+  }
+
+  if (clockVideo === video) return;
+  if (clockVideo) stopClock();
+
+  clockVideo = video;
+
+  if (typeof video.requestVideoFrameCallback === 'function') {
+    const onFrame = (_now, metadata) => {
+      if (clockVideo !== video) return;
+      emitTick(metadata.mediaTime * 1000);
+      frameCallbackId = video.requestVideoFrameCallback(onFrame);
+    };
+    frameCallbackId = video.requestVideoFrameCallback(onFrame);
+  } else {
+    timeUpdateHandler = () => emitTick(video.currentTime * 1000);
+    video.addEventListener('timeupdate', timeUpdateHandler);
+  }
+
+  // A seek while paused does not always present a new frame
+  seekedHandler = () => emitTick(video.currentTime * 1000);
+  video.addEventListener('seeked', seekedHandler);
+
+  console.log('[LinguaFlix] Playback clock started' +
+    (timeUpdateHandler ? ' (timeupdate fallback)' : ''));
+}
+
+/**
+ * Register a listener called with the playback time on every tick
+ * @param {Function} listener - (timeMs: number) => void
+ * @returns {Function} Unsubscribe function
+ */
+function addTickListener(listener) {
+  if (typeof listener !== 'function') {
+    console.error('[LinguaFlix] addTickListener: listener must be a function');
+    return () => {};
+  }
+
+  tickListeners.add(listener);
+  return () => tickListeners.delete(listener);
+}
+
+/**
+ * Register a listener called only when the active cue(s) change
+ * Ticks resolving to the same cues are swallowed, so the overlay is not
+ * re-rendered on every frame
+ * @param {Function} findCues - (timeMs: number) => Object|Array|null
+ *   A single cue, or an array of cues (or of cue arrays) compared element by element
+ * @param {Function} onCueChange - (cues: Object|Array|null, timeMs: number) => void
+ * @returns {Function} Unsubscribe function
+ */
+function addCueChangeListener(findCues, onCueChange) {
+  let lastCues;
+
+  return addTickListener((timeMs) => {
+    const cues = findCues(timeMs) ?? null;
+    if (sameCues(cues, lastCues)) return;
+    lastCues = cues;
+    onCueChange(cues, timeMs);
+  });
+}
+
+/**
+ * Cleanup: stops the clock and drops all listeners
+ */
+function cleanup() {
+  console.debug('[LinguaFlix] PlaybackClock cleanup() called');
+
+  stopClock();
+  tickListeners.clear();
+
+  console.log('[LinguaFlix] Playback clock cleaned up');
+}
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Detach frame callback and event listeners from the tracked video
+ * @private
+ */
+function stopClock() {
+  if (clockVideo) {
+    try {
+      if (frameCallbackId !== null) {
+        clockVideo.cancelVideoFrameCallback?.(frameCallbackId);
+      }
+      if (timeUpdateHandler) {
+        clockVideo.removeEventListener('timeupdate', timeUpdateHandler);
+      }
+      if (seekedHandler) {
+        clockVideo.removeEventListener('seeked', seekedHandler);
+      }
+    } catch (e) {
+      console.error('[LinguaFlix] Error stopping playback clock:', e);
+    }
+  }
+
+  clockVideo = null;
+  frameCallbackId = null;
+  timeUpdateHandler = null;
+  seekedHandler = null;
+}
+
+/**
+ * Identity comparison of a cue or an array of cues (nested arrays compared the same way)
+ * @private
+ */
+function sameCues(a, b) {
+  if (a === b) return true;
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+  return a.every((cue, i) => sameCues(cue, b[i]));
+}
+
+/**
+ * Notify every tick listener, isolating their errors
+ * @private
+ */
+function emitTick(timeMs) {
+  for (const listener of tickListeners) {
+    try {
+      listener(timeMs);
+    } catch (e) {
+      console.error('[LinguaFlix] Error in tick listener:', e);
+    }
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { setupPlaybackClock, addTickListener, addCueChangeListener, cleanup };
+
+console.log('[LinguaFlix] playback-clock.js loaded');
@@ -5,11 +5,13 @@
  * Retrieves subtitle tracks and player session
  * Uses exponential backoff retry logic
  * 
- * Dependencies: ZERO
- * Exports: { getPlayerAPI, getSubtitleTracks }
+ * Dependencies: LanguageTags (matchLanguage)
+ * Exports: { getPlayerAPI, getSubtitleTracks, getCurrentTextTrack, getCurrentAudioTrack, getVideoTitle, seek, play, pause, setPlaybackRate, cleanup }
  * Debug: window.PlayerAPIConnector
  */
 
+import { matchLanguage } from './language-tags.js';
+
 // Private state
 // eslint-disable-next-line no-unused-vars
 let cachedPlayerApp = null;
@@ -125,13 +127,18 @@ async function getPlayerAPI(options = {}) {
 }
 
 /**
- * getSubtitleTracks(overlayLanguage, preferClosedCaptions)
+ * getSubtitleTracks(overlayLanguages, preferClosedCaptions)
  * Retrieves available subtitle tracks from Netflix Player API
  * 
- * @param {string} overlayLanguage - Language code for overlay (e.g., 'pl', 'en')
+ * @param {string|string[]} overlayLanguages - Language preference for overlay (e.g., 'pl', 'pt-BR',
+ *   'pt-BR*'; see language-tags.js), or an ordered list of them (first available wins,
+ *   e.g. ['pl', 'de', 'en'])
  * @param {boolean} preferClosedCaptions - If true, prefer CC tracks. If false, prefer SUBTITLES.
- * @returns {Object} { overlay, all, current }
- *   - overlay: Requested overlay language track or null
+ * @returns {Object} { overlay, overlayLanguage, overlays, all, current }
+ *   - overlay: Track of the first available overlay language or null
+ *   - overlayLanguage: bcp47 of that track or null
+ *   - overlays: [{ preference, language, track }] for every available language, in list order
+ *     (preference from overlayLanguages, language = track bcp47; a track is listed once)
  *   - all: Array of all subtitle track objects
  *   - current: Currently active track object or null
  * 
@@ -147,17 +154,21 @@ async function getPlayerAPI(options = {}) {
  *   isNoneTrack: boolean
  * }
  * 
- * Selection logic:
- * 1. Filter by language: bcp47.startsWith(overlayLanguage)
+ * Selection logic (per language, see pickTrack):
+ * 1. Filter by language: BCP-47 match (matchLanguage), keeping the closest variant
+ *    (an exact preference like 'pt-BR' never falls back to 'pt-PT')
  * 2. Exclude "none" tracks
  * 3. If preferClosedCaptions=true: prefer CC, fallback to SUBTITLES, then any available
  * 4. If preferClosedCaptions=false: prefer SUBTITLES, fallback to CC, then any available
  */
-function getSubtitleTracks(overlayLanguage = 'pl', preferClosedCaptions = false) {
-  console.debug('[LinguaFlix] getSubtitleTracks() called with language:', overlayLanguage, 'preferCC:', preferClosedCaptions);
+function getSubtitleTracks(overlayLanguages = 'pl', preferClosedCaptions = false) {
+  const languages = [...new Set([].concat(overlayLanguages).filter(Boolean))];
+  console.debug('[LinguaFlix] getSubtitleTracks() called with languages:', languages, 'preferCC:', preferClosedCaptions);
   
   const result = {
     overlay: null,
+    overlayLanguage: null,
+    overlays: [],
     all: [],
     current: null
   };
@@ -175,32 +186,23 @@ function getSubtitleTracks(overlayLanguage = 'pl', preferClosedCaptions = false)
     // Get currently active track
     result.current = cachedPlayerSession.getTextTrack?.() || null;
 
-    // Filter by language and exclude "none" tracks
-    const matchingTracks = trackList.filter(track => 
-      track?.bcp47?.startsWith(overlayLanguage) && !track?.isNoneTrack
-    );
-
-    if (matchingTracks.length === 0) {
-      console.warn('[LinguaFlix] No subtitle tracks found for language:', overlayLanguage);
-      return result;
+    for (const preference of languages) {
+      const track = pickTrack(trackList, preference, preferClosedCaptions);
+      if (!track) {
+        console.warn('[LinguaFlix] No subtitle tracks found for language:', preference);
+      } else if (!result.overlays.some(overlay => overlay.track === track)) {
+        result.overlays.push({ preference, language: track.bcp47, track });
+      }
     }
 
-    // Select track based on rawTrackType preference
-    if (preferClosedCaptions) {
-      // Prefer CC, fallback to SUBTITLES, then any
-      result.overlay = matchingTracks.find(t => t?.rawTrackType === 'CLOSEDCAPTIONS') ||
-                       matchingTracks.find(t => t?.rawTrackType === 'SUBTITLES') ||
-                       matchingTracks[0];
-    } else {
-      // Prefer SUBTITLES, fallback to CC, then any
-      result.overlay = matchingTracks.find(t => t?.rawTrackType === 'SUBTITLES') ||
-                       matchingTracks.find(t => t?.rawTrackType === 'CLOSEDCAPTIONS') ||
-                       matchingTracks[0];
-    }
+    result.overlay = result.overlays[0]?.track || null;
+    result.overlayLanguage = result.overlays[0]?.language || null;
 
     console.log('[LinguaFlix] Subtitle tracks:', {
       hasOverlay: !!result.overlay,
-      overlayLanguage,
+      overlayLanguage: result.overlayLanguage,
+      requestedLanguages: languages,
+      availableLanguages: result.overlays.map(({ language }) => language),
       preferCC: preferClosedCaptions,
       selectedType: result.overlay?.rawTrackType,
       totalTracks: trackList.length,
@@ -214,6 +216,186 @@ function getSubtitleTracks(overlayLanguage = 'pl', preferClosedCaptions = false)
   return result;
 }
 
+/**
+ * Helper: pickTrack(trackList, preference, preferClosedCaptions)
+ * Best track for one language preference: the closest variant, then by rawTrackType preference
+ * 
+ * @returns {Object|null} Track object, or null if the language isn't offered
+ */
+function pickTrack(trackList, preference, preferClosedCaptions) {
+  // Score by language match and exclude "none" tracks
+  const scored = trackList
+    .filter(track => track?.bcp47 && !track?.isNoneTrack)
+    .map(track => ({ track, score: matchLanguage(track.bcp47, preference) }));
+  const bestScore = Math.max(-1, ...scored.map(({ score }) => score));
+  if (bestScore < 0) return null;
+
+  // Tracks of the closest variant (e.g. its SUBTITLES and CLOSEDCAPTIONS tracks)
+  const matchingTracks = scored.filter(({ score }) => score === bestScore).map(({ track }) => track);
+
+  const [preferred, other] = preferClosedCaptions
+    ? ['CLOSEDCAPTIONS', 'SUBTITLES']
+    : ['SUBTITLES', 'CLOSEDCAPTIONS'];
+  return matchingTracks.find(t => t?.rawTrackType === preferred) ||
+         matchingTracks.find(t => t?.rawTrackType === other) ||
+         matchingTracks[0];
+}
+
+/**
+ * getCurrentTextTrack()
+ * Returns the subtitle track Netflix is currently rendering
+ * 
+ * @returns {Object|null} Active track object, or null if subtitles are off
+ *   (the "Off" entry is a track with isNoneTrack=true) or no session is cached
+ * 
+ * Read live on every call: the user can switch tracks mid-episode.
+ */
+function getCurrentTextTrack() {
+  try {
+    const track = cachedPlayerSession?.getTextTrack?.() || null;
+    return track && !track.isNoneTrack ? track : null;
+  } catch (err) {
+    console.error('[LinguaFlix] Error reading current text track:', err);
+    return null;
+  }
+}
+
+/**
+ * getCurrentAudioTrack()
+ * Returns the audio track Netflix is currently playing
+ * 
+ * @returns {Object|null} Active audio track ({ trackId, bcp47, displayName, ... }),
+ *   or null if no session is cached
+ * 
+ * Read live on every call: the user can switch the audio mid-episode.
+ */
+function getCurrentAudioTrack() {
+  try {
+    return cachedPlayerSession?.getAudioTrack?.() || null;
+  } catch (err) {
+    console.error('[LinguaFlix] Error reading current audio track:', err);
+    return null;
+  }
+}
+
+/**
+ * getVideoTitle(movieId)
+ * Returns a human-readable title for the playing video
+ * 
+ * @param {string|number} movieId - Netflix movieId (from playerSession.getMovieId())
+ * @returns {string} Title, e.g. "Dark – S1:E3 Past and Present", or '' if unknown
+ * 
+ * Sources, in order:
+ * 1. Player title element (rendered with the controls, may be hidden but present)
+ * 2. Netflix's falcor cache (video metadata loaded by the web app)
+ */
+function getVideoTitle(movieId) {
+  try {
+    const titleEl = document.querySelector('[data-uia="video-title"]');
+    if (titleEl) {
+      // Show title in <h4>, episode number and name in <span>s
+      const parts = [...titleEl.querySelectorAll('h4, span')]
+        .map(el => el.textContent.trim())
+        .filter(Boolean);
+      const title = parts.length ? parts.join(' – ') : titleEl.textContent.trim();
+      if (title) return title;
+    }
+
+    const video = window.netflix?.falcorCache?.videos?.[movieId];
+    return video?.title?.value || '';
+  } catch (err) {
+    console.error('[LinguaFlix] Error reading video title:', err);
+    return '';
+  }
+}
+
+/**
+ * seek(timeMs, video)
+ * Jumps to a position through the Netflix player session
+ * 
+ * @param {number} timeMs - Target position in milliseconds
+ * @param {HTMLVideoElement} video - Fallback when no session is cached
+ * @returns {boolean} True if a seek was issued
+ * 
+ * Why the session first:
+ * Setting video.currentTime directly desyncs Netflix's own state
+ * (progress bar, subtitle renderer) and can trigger playback errors.
+ */
+function seek(timeMs, video = null) {
+  const target = Math.max(0, Math.round(timeMs));
+  try {
+    if (typeof cachedPlayerSession?.seek === 'function') {
+      cachedPlayerSession.seek(target);
+      return true;
+    }
+    if (video) {
+      video.currentTime = target / 1000;
+      return true;
+    }
+  } catch (err) {
+    console.error('[LinguaFlix] Error seeking:', err);
+  }
+  return false;
+}
+
+/**
+ * play(video)
+ * Resumes playback through the Netflix player session
+ * 
+ * @param {HTMLVideoElement} video - Fallback when no session is cached
+ */
+function play(video = null) {
+  try {
+    if (typeof cachedPlayerSession?.play === 'function') {
+      cachedPlayerSession.play();
+    } else {
+      video?.play().catch(err => console.warn('[LinguaFlix] video.play() rejected:', err));
+    }
+  } catch (err) {
+    console.error('[LinguaFlix] Error resuming playback:', err);
+  }
+}
+
+/**
+ * pause(video)
+ * Pauses playback through the Netflix player session
+ * 
+ * @param {HTMLVideoElement} video - Fallback when no session is cached
+ */
+function pause(video = null) {
+  try {
+    if (typeof cachedPlayerSession?.pause === 'function') {
+      cachedPlayerSession.pause();
+    } else {
+      video?.pause();
+    }
+  } catch (err) {
+    console.error('[LinguaFlix] Error pausing playback:', err);
+  }
+}
+
+/**
+ * setPlaybackRate(rate, video)
+ * Changes the playback speed
+ * 
+ * @param {number} rate - Playback rate (1 = normal speed)
+ * @param {HTMLVideoElement} video - Fallback when the session has no rate control
+ * 
+ * Netflix has no speed control of its own on every build: the <video>
+ * element's playbackRate is safe to change (unlike currentTime).
+ */
+function setPlaybackRate(rate, video = null) {
+  try {
+    if (typeof cachedPlayerSession?.setPlaybackRate === 'function') {
+      cachedPlayerSession.setPlaybackRate(rate);
+    } else if (video) {
+      video.playbackRate = rate;
+    }
+  } catch (err) {
+    console.error('[LinguaFlix] Error setting playback rate:', err);
+  }
+}
+
 /**
  * cleanup()
  * Clears cached Player API references
@@ -234,6 +416,6 @@ function cleanup() {
 // EXPORTS
 // ============================================
 
-export { getPlayerAPI, getSubtitleTracks, cleanup };
+export { getPlayerAPI, getSubtitleTracks, getCurrentTextTrack, getCurrentAudioTrack, getVideoTitle, seek, play, pause, setPlaybackRate, cleanup };
 
 console.log('[LinguaFlix] PlayerAPIConnector module loaded');
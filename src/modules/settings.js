@@ -4,12 +4,16 @@
  * Settings module for LinguaFlix (MAIN world version)
  * Reads settings from DOM element with id 'linguaflix-settings' (injected by settings-injector.js)
  * 
- * Exports: { getSettings, getSetting }
+ * Defaults: default-settings.js
+ * Exports: { getSettings, getSetting, getMessage }
  */
 
-const DEFAULT_SETTINGS = {
-  overlayLanguage: 'pl',           // Default: Polish
-  preferClosedCaptions: false,     // Default: prefer regular subtitles
+import { DEFAULT_SETTINGS } from './default-settings.js';
+
+// Page-only values on top of the stored settings
+const PAGE_DEFAULTS = {
+  ...DEFAULT_SETTINGS,
+  overlayPositions: {},            // Dragged positions { windowed, fullscreen } (chrome.storage.local)
   enabled: true                    // Future: global on/off toggle
 };
 
@@ -28,15 +32,20 @@ export async function getSettings() {
       if (settingsJson) {
         const injectedSettings = JSON.parse(settingsJson);
         console.log('[LinguaFlix Settings] Using injected settings:', injectedSettings);
-        return { ...DEFAULT_SETTINGS, ...injectedSettings };
+        return {
+          ...PAGE_DEFAULTS,
+          ...injectedSettings,
+          // Stored bindings predate actions added later: keep their defaults
+          keyBindings: { ...DEFAULT_SETTINGS.keyBindings, ...injectedSettings.keyBindings }
+        };
       }
     }
     
     console.warn('[LinguaFlix Settings] No injected settings found, using defaults');
-    return DEFAULT_SETTINGS;
+    return PAGE_DEFAULTS;
   } catch (err) {
     console.error('[LinguaFlix Settings] Exception loading settings:', err);
-    return DEFAULT_SETTINGS;
+    return PAGE_DEFAULTS;
   }
 }
 
@@ -49,7 +58,27 @@ export async function getSettings() {
  */
 export async function getSetting(key) {
   const settings = await getSettings();
-  return settings[key] !== undefined ? settings[key] : DEFAULT_SETTINGS[key];
+  return settings[key] !== undefined ? settings[key] : PAGE_DEFAULTS[key];
+}
+
+/**
+ * getMessage(key, fallback)
+ * Gets a localized UI string injected by settings-injector.js
+ * (chrome.i18n is not available in MAIN world)
+ * 
+ * @param {string} key - Message key from _locales (must be listed in PAGE_MESSAGE_KEYS)
+ * @param {string} fallback - English text used when the message is missing
+ * @returns {string} Localized message
+ */
+export function getMessage(key, fallback = '') {
+  try {
+    const messagesJson = document.getElementById('linguaflix-settings')?.dataset.messages;
+    const messages = messagesJson ? JSON.parse(messagesJson) : {};
+    return messages[key] || fallback || key;
+  } catch (err) {
+    console.error('[LinguaFlix Settings] Exception reading messages:', err);
+    return fallback || key;
+  }
 }
 
 console.log('[LinguaFlix] settings.js loaded');
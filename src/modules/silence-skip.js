@@ -0,0 +1,139 @@
+/**
+ * silence-skip.js
+ *
+ * Dialogue-only mode: when playback enters a gap between two lines that is
+ * longer than the threshold, seeks ahead to shortly before the next line
+ * The last skip can be undone; an undone gap then plays through
+ *
+ * Dependencies: PlaybackClock (addTickListener), SubtitleParser (findCueAt, findPreviousCue, findNextCue)
+ *
+ * Public API:
+ * - setupSilenceSkip(video, options) → void
+ * - undoSkip() → boolean
+ * - cleanup() → void
+ */
+
+import { addTickListener } from './playback-clock.js';
+import { findCueAt, findPreviousCue, findNextCue } from './subtitle-parser.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const LEAD_MS = 1500;   // Land this long before the next line, so it doesn't start abruptly
+
+// ============================================================================
+// MODULE STATE (private)
+// ============================================================================
+
+let trackedVideo = null;
+let config = null;        // { getCues, minGapMs, seek, onSkip, isSuspended }
+let lastSkip = null;      // { from, to, nextCue } of the last skip, for undo
+let keptGaps = new Set(); // Next-line cues of gaps the viewer went back into (not skipped again)
+let stopTicking = null;
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Start skipping long gaps between lines for the given video
+ * Calling it again replaces the previous setup
+ * Needs the playback clock running for the same video (PlaybackClock.setupPlaybackClock)
+ * @param {HTMLVideoElement} video - Video element
+ * @param {Object} options
+ * @param {Function} options.getCues - () => Array of sorted cues of the track being watched
+ * @param {number} options.minGapMs - Gaps between lines longer than this are skipped
+ * @param {Function} options.seek - (timeMs) => boolean, seeks through the Netflix player
+ * @param {Function} [options.onSkip] - ({from, to}) => void, after each skip (e.g. show an indicator)
+ * @param {Function} [options.isSuspended] - () => boolean, true while gaps must play through (e.g. a line loop)
+ */
+function setupSilenceSkip(video, { getCues, minGapMs, seek, onSkip = null, isSuspended = () => false }) {
+  console.debug('[LinguaFlix] setupSilenceSkip() called');
+
+  if (trackedVideo) cleanup();
+
+  if (!video || !(video instanceof HTMLVideoElement)) {
+    console.error('[LinguaFlix] setupSilenceSkip: invalid video element');
+    return;
+  }
+
+  trackedVideo = video;
+  config = { getCues, minGapMs: Math.max(minGapMs, LEAD_MS * 2), seek, onSkip, isSuspended };
+  stopTicking = addTickListener(handleTick);
+
+  console.log(`[LinguaFlix] Silence skip on (gaps over ${config.minGapMs}ms)`);
+}
+
+/**
+ * Go back to where the last skip started; that gap then plays through
+ * @returns {boolean} True if there was a skip to undo
+ */
+function undoSkip() {
+  if (!trackedVideo || !lastSkip) return false;
+
+  const { from, nextCue } = lastSkip;
+  keptGaps.add(nextCue);
+  lastSkip = null;
+
+  console.log(`[LinguaFlix] Undoing silence skip, back to ${from}ms`);
+  return config.seek(from);
+}
+
+/**
+ * Cleanup: stops watching playback and forgets skipped gaps
+ */
+function cleanup() {
+  console.debug('[LinguaFlix] SilenceSkip cleanup() called');
+
+  stopTicking?.();
+
+  trackedVideo = null;
+  config = null;
+  lastSkip = null;
+  keptGaps = new Set();
+  stopTicking = null;
+}
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Skip ahead when playback is inside a long gap
+ * The gap is measured between the surrounding lines (from 0 before the first one);
+ * after the last line nothing is skipped (end credits are Netflix's business)
+ * @private
+ */
+function handleTick(timeMs) {
+  if (!trackedVideo || trackedVideo.paused || config.isSuspended()) return;
+
+  const cues = config.getCues();
+  if (findCueAt(timeMs, cues)) return;
+
+  const nextCue = findNextCue(timeMs, cues);
+  // Ticks may still report the old position while the last skip lands
+  if (!nextCue || keptGaps.has(nextCue) || lastSkip?.nextCue === nextCue) return;
+
+  const gapStart = findPreviousCue(timeMs, cues)?.end ?? 0;
+  const target = nextCue.start - LEAD_MS;
+  if (nextCue.start - gapStart <= config.minGapMs || target - timeMs < LEAD_MS) return;
+
+  if (!config.seek(target)) return;
+  lastSkip = { from: timeMs, to: target, nextCue };
+  console.log(`[LinguaFlix] Skipped ${Math.round(target - timeMs)}ms without dialogue`);
+
+  try {
+    config.onSkip?.({ from: timeMs, to: target });
+  } catch (e) {
+    console.error('[LinguaFlix] Error in onSkip callback:', e);
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { setupSilenceSkip, undoSkip, cleanup };
+
+console.log('[LinguaFlix] silence-skip.js loaded');
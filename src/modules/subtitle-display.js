@@ -4,13 +4,30 @@
  * Manages subtitle overlay DOM element
  * Handles fullscreen mode and z-index adjustments
  * Show/hide translated subtitle text
+ * Applies user appearance settings and drag-to-reposition
+ * (separate saved positions for windowed and fullscreen mode)
+ * Moves out of the way of native subtitles and player controls (auto placement)
+ * Interactive mode: lines are split into clickable words (Intl.Segmenter)
+ * Rich lines: styled segments (italic, bold, underline, color) built with DOM nodes,
+ * and a placement hint that keeps top-positioned lines (signs, captions) at the top
+ * Ruby (furigana) as <ruby>/<rt>; each line gets its own writing direction (RTL scripts)
+ * Optional action buttons under the lines (e.g. save to notebook) and short toast notices
+ *
+ * Dependencies: OverlayAppearance (getAppearance, buildOverlayStyle, buildLineStyle), LanguageNames (getLanguageName)
  *
  * Public API:
+ * - configureOverlay(options) → void
  * - showSubtitle(text) → void
+ * - showLines(lines, options) → void
  * - hideSubtitle() → void
+ * - setInteractive(enabled) → void
+ * - showToast(message) → void
  * - cleanup() → void
  */
 
+import { getAppearance, buildOverlayStyle, buildLineStyle } from './overlay-appearance.js';
+import { getLanguageName } from './language-names.js';
+
 // ============================================================================
 // CONSTANTS
 // ============================================================================
@@ -19,6 +36,26 @@
 const FULLSCREEN_Z_INDEX = '2147483647'; // Max z-index (2^31 - 1) for fullscreen mode
 const NORMAL_Z_INDEX = '10000';          // Standard high z-index for normal mode
 
+// Netflix elements the overlay should not cover when auto placement is on
+const OBSTACLE_SELECTORS = [
+  '.player-timedtext-text-container',          // Native subtitles (top or bottom)
+  '[data-uia="evidence-overlay"]',             // Title/episode text shown on pause
+  '.watch-video--evidence-overlay-container',
+  '.watch-video--bottom-controls-container',   // Seek bar and control buttons
+  '.watch-video--back-container',              // Back arrow
+  '.watch-video--flag-container'               // Report-a-problem flag
+];
+const OBSTACLE_MARGIN_PX = 8;      // Breathing room kept around obstacles
+const PLACEMENT_STEP = 0.02;       // Candidate positions every 2% of the viewport height
+const RELAYOUT_DELAY_MS = 250;     // Netflix re-lays out its UI after fullscreen/resize
+const TOAST_DURATION_MS = 2000;
+const TOP_PLACEMENT_PERCENT = 8;   // Default position for top-placed lines when the overlay normally sits low
+
+// Right-to-left languages and scripts (a script subtag wins: 'az-Arab' is RTL, 'ku-Latn' is not)
+const RTL_LANGUAGES = ['ar', 'he', 'iw', 'fa', 'ur', 'yi', 'ps', 'dv', 'ckb', 'sd', 'ug'];
+const RTL_SCRIPTS = ['arab', 'hebr', 'syrc', 'thaa', 'nkoo', 'adlm', 'rohg'];
+
+
 // ============================================================================
 // MODULE STATE (private)
 // ============================================================================
@@ -26,16 +63,86 @@ const NORMAL_Z_INDEX = '10000';          // Standard high z-index for normal mod
 let overlayElement = null;
 let fullscreenHandler = null;
 let fullscreenListenerAttached = false;
+let resizeHandler = null;
+let relayoutTimer = null;
+let autoPlacement = true;    // Avoid native subtitles/controls when no dragged position exists
+let renderedLinesKey = null; // Serialized lines currently rendered (skips redundant DOM writes)
+let linePlacement = null;    // 'top' while a displayed line is positioned at the top of the picture
+let appearance = getAppearance();
+let overlayPositions = {};   // { windowed: {x, y}, fullscreen: {x, y} } in % of the viewport
+let onPositionChange = null; // (mode, position|null) => void, called after a drag or reset
+let dragState = null;
+let onWordClick = null;      // ({word, lineText, language, element}) => void; set = interactive mode
+let interactive = false;     // Overlay takes pointer events (drag, word clicks, buttons); off while playing
+let toastElement = null;
+let toastTimer = null;
 
 // ============================================================================
 // PUBLIC API
 // ============================================================================
 
+/**
+ * Set overlay appearance and saved positions
+ * Applies immediately if the overlay already exists
+ * @param {Object} options
+ * @param {Object} options.appearance - Appearance settings (see overlay-appearance.js);
+ *   other keys are ignored, so the whole settings object can be passed
+ * @param {Object} options.positions - Saved positions { windowed, fullscreen }, each {x, y} in %
+ * @param {Function} options.onPositionChange - (mode, position|null) => void, called when
+ *   the user drags the overlay (or double-clicks it to reset)
+ * @param {boolean} options.autoPlacement - Move away from native subtitles and player controls
+ * @param {Function|null} options.onWordClick - ({word, lineText, language, element}) => void;
+ *   when set, the overlay is interactive: words are clickable and text is selectable
+ */
+function configureOverlay({
+  appearance: newAppearance,
+  positions,
+  onPositionChange: onChange,
+  autoPlacement: auto,
+  onWordClick: onWord
+} = {}) {
+  if (newAppearance) appearance = getAppearance(newAppearance);
+  if (positions) overlayPositions = { ...positions };
+  if (onChange !== undefined) onPositionChange = onChange;
+  if (auto !== undefined) autoPlacement = !!auto;
+  if (onWord !== undefined) onWordClick = onWord;
+
+  const overlay = overlayElement || document.getElementById('linguaflix-overlay');
+  if (overlay) {
+    applyOverlayStyle(overlay);
+    renderedLinesKey = null; // Line styles depend on appearance too
+  }
+}
+
 /**
  * Display translated subtitle text in overlay
  * @param {string} text - Subtitle text (may contain \n for line breaks)
  */
 function showSubtitle(text) {
+  showLines([{ text, role: 'overlay' }]);
+}
+
+/**
+ * Display one or more labelled subtitle lines in overlay
+ * @param {Array<{text: string, role: string, language?: string, labelled?: boolean, timestamp?: number,
+ *   segments?: Array, placement?: string, direction?: string}>} lines
+ *   - text: Subtitle text (may contain \n for line breaks)
+ *   - role: 'source' (playing language), 'overlay' (translation)
+ *     or 'context' (neighbouring translation lines, dimmed)
+ *   - language: BCP-47 code, shown as a label and set as the line's lang
+ *   - labelled: Optional, show the language label even when every line has the same language
+ *   - timestamp: Optional cue start in ms, shown as a m:ss prefix
+ *   - segments: Optional styled parts of the text ({text, italic?, bold?, underline?, color?,
+ *     ruby?, direction?, bidiOverride?}), rendered instead of text; ruby is shown above the text
+ *   - placement: Optional 'top' or 'bottom' (where the subtitle track positions the line);
+ *     a top line (other than context) keeps the overlay at the top unless it was dragged
+ *   - direction: Optional 'ltr' or 'rtl' from the subtitle track; otherwise derived from
+ *     language ('auto', i.e. from the text, when there is none)
+ * @param {Object} options
+ * @param {Array<{id: string, label: string, title?: string, onClick: Function}>} options.actions -
+ *   Buttons shown under the lines (id identifies the button between renders)
+ */
+function showLines(lines, { actions = [] } = {}) {
   try {
     const existing = document.getElementById('linguaflix-overlay');
 
@@ -54,23 +161,33 @@ function showSubtitle(text) {
           }
         }
         overlay.style.zIndex = document.fullscreenElement ? FULLSCREEN_Z_INDEX : NORMAL_Z_INDEX;
+        applyPosition(overlay); // Windowed and fullscreen positions are saved separately
+        scheduleRelayout();
       };
+      resizeHandler = () => scheduleRelayout();
     }
 
-    // Attach fullscreen listener (once)
+    // Attach fullscreen and resize listeners (once)
     if (!fullscreenListenerAttached) {
       document.addEventListener('fullscreenchange', fullscreenHandler);
+      window.addEventListener('resize', resizeHandler);
       fullscreenListenerAttached = true;
     }
 
     const targetParent = document.fullscreenElement || document.body;
     const zIndex = document.fullscreenElement ? FULLSCREEN_Z_INDEX : NORMAL_Z_INDEX;
+    linePlacement = lines.some(line => line.role !== 'context' && line.placement === 'top') ? 'top' : null;
+    const linesKey = JSON.stringify([lines, actions.map(a => [a.id, a.label])]);
 
     // Reuse existing overlay
     if (existing) {
       existing.style.display = 'block';
       existing.style.zIndex = zIndex;
-      existing.textContent = text || '';
+      // Skip the DOM write when the lines are unchanged (always-on mode re-shows every cue change)
+      if (renderedLinesKey !== linesKey) {
+        renderLines(existing, lines, actions);
+        renderedLinesKey = linesKey;
+      }
       overlayElement = existing;
       fullscreenHandler(); // Ensure correct parent
       return;
@@ -79,30 +196,12 @@ function showSubtitle(text) {
     // Create new overlay
     const overlay = document.createElement('div');
     overlay.id = 'linguaflix-overlay';
-    overlay.style.cssText = [
-      'position: fixed',
-      'top: 12%',
-      'left: 50%',
-      'transform: translate(-50%, 0)',
-      'background: rgba(0, 0, 0, 0.9)',
-      'color: white',
-      'padding: 20px 30px',
-      'border-radius: 10px',
-      'font-size: 24px',
-      'font-weight: bold',
-      'z-index: ' + zIndex,
-      'max-width: 80%',
-      'text-align: center',
-      'box-shadow: 0 4px 20px rgba(0, 0, 0, 0.7)',
-      'border: 2px solid #4CAF50',
-      'display: block',
-      "font-family: 'Helvetica Neue', Arial, sans-serif",
-      'pointer-events: none',
-      'line-height: 1.4',
-      'white-space: pre-wrap'
-    ].join('; ');
+    applyOverlayStyle(overlay);
+    overlay.style.zIndex = zIndex;
+    attachDragHandlers(overlay);
 
-    overlay.textContent = text || '';
+    renderLines(overlay, lines, actions);
+    renderedLinesKey = linesKey;
     targetParent.appendChild(overlay);
     overlayElement = overlay;
     fullscreenHandler(); // Ensure correct z-index
@@ -122,6 +221,7 @@ function hideSubtitle() {
     if (overlay) {
       overlay.style.display = 'none';
       overlay.textContent = '';
+      renderedLinesKey = null;
       console.log('[LinguaFlix] Subtitle hidden');
     }
   } catch (err) {
@@ -129,6 +229,59 @@ function hideSubtitle() {
   }
 }
 
+/**
+ * Let the overlay take pointer events (drag, clickable words, action buttons)
+ * Off while the video plays, so an always-on overlay doesn't swallow clicks on
+ * the video or the hover that brings up Netflix's controls
+ * @param {boolean} enabled - true while paused or while the peek key is held
+ */
+function setInteractive(enabled) {
+  interactive = !!enabled;
+  const overlay = overlayElement || document.getElementById('linguaflix-overlay');
+  if (overlay) applyPointerStyle(overlay);
+}
+
+/**
+ * Show a short notice near the bottom of the player (e.g. "Saved to notebook")
+ * Works while the overlay is hidden; a new toast replaces the current one
+ * @param {string} message - Notice text
+ */
+function showToast(message) {
+  try {
+    clearTimeout(toastTimer);
+    if (!toastElement) {
+      toastElement = document.createElement('div');
+      toastElement.id = 'linguaflix-toast';
+      toastElement.setAttribute('role', 'status');
+      toastElement.style.cssText = [
+        'position: fixed',
+        'left: 50%',
+        'bottom: 18%',
+        'transform: translate(-50%, 0)',
+        'padding: 8px 16px',
+        'background: rgba(0, 0, 0, 0.85)',
+        'color: #fff',
+        'border-radius: 6px',
+        "font-family: 'Helvetica Neue', Arial, sans-serif",
+        'font-size: 15px',
+        'pointer-events: none',
+        'transition: opacity 0.3s'
+      ].join('; ');
+    }
+
+    toastElement.textContent = message;
+    toastElement.style.zIndex = document.fullscreenElement ? FULLSCREEN_Z_INDEX : NORMAL_Z_INDEX;
+    toastElement.style.opacity = '1';
+    (document.fullscreenElement || document.body).appendChild(toastElement);
+
+    toastTimer = setTimeout(() => {
+      if (toastElement) toastElement.style.opacity = '0';
+    }, TOAST_DURATION_MS);
+  } catch (err) {
+    console.error('[LinguaFlix] Error showing toast:', err);
+  }
+}
+
 /**
  * Cleanup: removes overlay from the DOM and detaches listeners
  */
@@ -143,10 +296,24 @@ function cleanup() {
     
     if (fullscreenListenerAttached && fullscreenHandler) {
       document.removeEventListener('fullscreenchange', fullscreenHandler);
+      window.removeEventListener('resize', resizeHandler);
     }
+    clearTimeout(relayoutTimer);
+    clearTimeout(toastTimer);
+    toastElement?.remove();
     
     overlayElement = null;
+    toastElement = null;
+    toastTimer = null;
+    renderedLinesKey = null;
+    linePlacement = null;
+    dragState = null;
+    interactive = false;
+    onPositionChange = null;
+    onWordClick = null;
     fullscreenHandler = null;
+    resizeHandler = null;
+    relayoutTimer = null;
     fullscreenListenerAttached = false;
     
     console.log('[LinguaFlix] Display cleanup complete');
@@ -155,10 +322,484 @@ function cleanup() {
   }
 }
 
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Apply container styles from the current appearance
+ * @private
+ */
+function applyOverlayStyle(overlay) {
+  const { zIndex, display } = overlay.style;
+  overlay.style.cssText = [
+    'position: fixed',
+    'transform: translate(-50%, 0)',
+    'display: ' + (display || 'block'),
+    'user-select: none',
+    'touch-action: none'
+  ].concat(buildOverlayStyle(appearance)).join('; ');
+  if (zIndex) overlay.style.zIndex = zIndex;
+  applyPointerStyle(overlay);
+  applyPosition(overlay);
+}
+
+/**
+ * The overlay takes pointer events (and shows the move cursor) only while interactive
+ * @private
+ */
+function applyPointerStyle(overlay) {
+  overlay.style.pointerEvents = interactive ? 'auto' : 'none';
+  overlay.style.cursor = interactive ? 'move' : '';
+}
+
+/**
+ * Place overlay at the saved position for the current mode, or the default
+ * (horizontally centered, appearance.overlayVerticalPosition from the top -
+ * or near the top for top-placed lines when that is in the lower half -
+ * shifted to the nearest free spot when auto placement is on)
+ * @private
+ */
+function applyPosition(overlay) {
+  const position = overlayPositions[currentMode()];
+  if (position) {
+    overlay.style.left = position.x + '%';
+    overlay.style.top = position.y + '%';
+    return;
+  }
+
+  const preferredTop = linePlacement === 'top' && appearance.overlayVerticalPosition > 50
+    ? TOP_PLACEMENT_PERCENT
+    : appearance.overlayVerticalPosition;
+  overlay.style.left = '50%';
+  overlay.style.top = preferredTop + '%';
+  if (autoPlacement && overlay.isConnected && overlay.style.display !== 'none') {
+    overlay.style.top = findFreeTop(overlay, preferredTop) + '%';
+  }
+}
+
+/**
+ * Re-run placement once Netflix has settled its layout (resize, fullscreen)
+ * @private
+ */
+function scheduleRelayout() {
+  clearTimeout(relayoutTimer);
+  relayoutTimer = setTimeout(() => {
+    const overlay = overlayElement;
+    if (overlay && overlay.style.display !== 'none') applyPosition(overlay);
+  }, RELAYOUT_DELAY_MS);
+}
+
+/**
+ * Find the top offset (% of viewport) closest to the preferred one where the
+ * overlay does not cover native subtitles or player controls
+ * If no position is completely free, the one with the least overlap wins
+ * @private
+ */
+function findFreeTop(overlay, preferredPercent) {
+  const viewportHeight = window.innerHeight;
+  const rect = overlay.getBoundingClientRect();
+  if (!rect.height || !viewportHeight) return preferredPercent;
+
+  // Only obstacles sharing horizontal space with the overlay matter
+  const obstacles = getObstacleRects().filter(r => r.right > rect.left && r.left < rect.right);
+  if (!obstacles.length) return preferredPercent;
+
+  const preferredTop = preferredPercent / 100 * viewportHeight;
+  const step = viewportHeight * PLACEMENT_STEP;
+  let best = null;
+
+  for (let top = 0; top + rect.height <= viewportHeight; top += step) {
+    const bottom = top + rect.height;
+    const overlap = obstacles.reduce((sum, r) =>
+      sum + Math.max(0, Math.min(bottom, r.bottom) - Math.max(top, r.top)), 0);
+    const distance = Math.abs(top - preferredTop);
+
+    if (!best || overlap < best.overlap || (overlap === best.overlap && distance < best.distance)) {
+      best = { top, overlap, distance };
+    }
+  }
+
+  return best ? roundPercent(best.top / viewportHeight) : preferredPercent;
+}
+
+/**
+ * Bounding boxes (with margin) of visible Netflix elements to avoid
+ * @private
+ */
+function getObstacleRects() {
+  const rects = [];
+  for (const el of document.querySelectorAll(OBSTACLE_SELECTORS.join(', '))) {
+    // Netflix fades controls out with opacity rather than removing them
+    const visible = el.checkVisibility
+      ? el.checkVisibility({ opacityProperty: true, visibilityProperty: true })
+      : true;
+    if (!visible) continue;
+
+    const r = el.getBoundingClientRect();
+    if (!r.width || !r.height) continue;
+    rects.push({
+      top: r.top - OBSTACLE_MARGIN_PX,
+      bottom: r.bottom + OBSTACLE_MARGIN_PX,
+      left: r.left - OBSTACLE_MARGIN_PX,
+      right: r.right + OBSTACLE_MARGIN_PX
+    });
+  }
+  return rects;
+}
+
+/**
+ * 'fullscreen' or 'windowed' - positions are saved per mode
+ * @private
+ */
+function currentMode() {
+  return document.fullscreenElement ? 'fullscreen' : 'windowed';
+}
+
+/**
+ * Drag to reposition, double-click to reset to the default position
+ * In interactive mode the text itself is for clicking words and selecting,
+ * so dragging starts only from the overlay's padding and labels
+ * Clicks are kept from reaching Netflix (which would toggle playback)
+ * @private
+ */
+function attachDragHandlers(overlay) {
+  overlay.addEventListener('pointerdown', (event) => {
+    if (event.button !== 0) return;
+    event.stopPropagation();
+    if (event.target.closest?.('button')) return;
+    if (onWordClick && event.target.closest?.('.linguaflix-text')) return;
+    event.preventDefault();
+
+    const rect = overlay.getBoundingClientRect();
+    dragState = {
+      pointerId: event.pointerId,
+      offsetX: event.clientX - (rect.left + rect.width / 2),
+      offsetY: event.clientY - rect.top,
+      moved: false
+    };
+    overlay.setPointerCapture(event.pointerId);
+  });
+
+  overlay.addEventListener('pointermove', (event) => {
+    if (!dragState || event.pointerId !== dragState.pointerId) return;
+
+    const rect = overlay.getBoundingClientRect();
+    const halfWidth = rect.width / 2;
+    const centerX = Math.min(Math.max(event.clientX - dragState.offsetX, halfWidth), window.innerWidth - halfWidth);
+    const top = Math.min(Math.max(event.clientY - dragState.offsetY, 0), window.innerHeight - rect.height);
+
+    overlay.style.left = centerX + 'px';
+    overlay.style.top = top + 'px';
+    dragState.moved = true;
+  });
+
+  const endDrag = (event) => {
+    if (!dragState || event.pointerId !== dragState.pointerId) return;
+
+    const { moved } = dragState;
+    dragState = null;
+    if (!moved) return;
+
+    const rect = overlay.getBoundingClientRect();
+    const position = {
+      x: roundPercent((rect.left + rect.width / 2) / window.innerWidth),
+      y: roundPercent(rect.top / window.innerHeight)
+    };
+    savePosition(overlay, position);
+  };
+  overlay.addEventListener('pointerup', endDrag);
+  overlay.addEventListener('pointercancel', endDrag);
+
+  overlay.addEventListener('dblclick', (event) => {
+    event.stopPropagation();
+    if (onWordClick && event.target.closest?.('.linguaflix-text')) return; // Double-click selects a word
+    if (event.target.closest?.('button')) return;
+    savePosition(overlay, null);
+  });
+
+  overlay.addEventListener('click', (event) => {
+    event.stopPropagation();
+    const word = onWordClick && event.target.closest?.('.linguaflix-word');
+    if (word) handleWordClick(word);
+  });
+}
+
+/**
+ * Report a clicked word with its line to the onWordClick callback
+ * @private
+ */
+function handleWordClick(word) {
+  const row = word.closest('.linguaflix-line');
+  try {
+    onWordClick({
+      word: word.textContent,
+      lineText: textWithoutRuby(row?.querySelector('.linguaflix-text')) || word.textContent,
+      language: row?.lang || '',
+      element: word
+    });
+  } catch (e) {
+    console.error('[LinguaFlix] Error in onWordClick callback:', e);
+  }
+}
+
+/**
+ * Store position for the current mode (null resets) and notify the caller
+ * @private
+ */
+function savePosition(overlay, position) {
+  const mode = currentMode();
+  if (position) {
+    overlayPositions[mode] = position;
+  } else {
+    delete overlayPositions[mode];
+  }
+  applyPosition(overlay);
+
+  console.log('[LinguaFlix] Overlay position (' + mode + '):', position || 'default');
+  try {
+    onPositionChange?.(mode, position);
+  } catch (e) {
+    console.error('[LinguaFlix] Error in onPositionChange callback:', e);
+  }
+}
+
+/**
+ * Fraction → percent with one decimal
+ * @private
+ */
+function roundPercent(fraction) {
+  return Math.round(fraction * 1000) / 10;
+}
+
+/**
+ * Replace overlay content with one row per line (and an action bar, if any)
+ * Language labels are shown only when lines in several languages are displayed
+ * (or the line asks for one), and never on dimmed context lines
+ * @private
+ */
+function renderLines(overlay, lines, actions = []) {
+  overlay.textContent = '';
+  const labelled = new Set(lines.map(l => l.language)).size > 1;
+
+  lines.forEach((line, index) => {
+    const row = document.createElement('div');
+    row.className = 'linguaflix-line linguaflix-line--' + (line.role || 'overlay');
+    const spacing = line.role === 'context' || lines[index - 1]?.role === 'context' ? 4 : 10;
+    row.style.cssText = buildLineStyle(line.role, appearance)
+      .concat(index > 0 ? ['margin-top: ' + spacing + 'px'] : [])
+      .join('; ');
+    if (line.language) row.lang = line.language;
+    row.dir = lineDirection(line);
+
+    if (Number.isFinite(line.timestamp)) {
+      const time = document.createElement('span');
+      time.className = 'linguaflix-timestamp';
+      time.textContent = formatTimestamp(line.timestamp);
+      time.style.cssText = [
+        'margin-right: 10px',
+        'font-size: 12px',
+        'font-weight: normal',
+        'font-variant-numeric: tabular-nums',
+        'opacity: 0.6'
+      ].join('; ');
+      row.appendChild(time);
+    }
+
+    if ((labelled || line.labelled) && line.language && line.role !== 'context') {
+      const label = document.createElement('span');
+      label.className = 'linguaflix-label';
+      label.textContent = line.language.toUpperCase();
+      label.title = getLanguageName(line.language);
+      label.style.cssText = [
+        'display: inline-block',
+        'margin-right: 10px',
+        'padding: 1px 6px',
+        'border: 1px solid currentColor',
+        'border-radius: 4px',
+        'font-size: 11px',
+        'font-weight: bold',
+        'letter-spacing: 0.5px',
+        'vertical-align: middle',
+        'opacity: 0.7'
+      ].join('; ');
+      row.appendChild(label);
+    }
+
+    const text = document.createElement('span');
+    text.className = 'linguaflix-text';
+    if (onWordClick) text.style.cssText = 'user-select: text; cursor: text';
+    if (Array.isArray(line.segments) && line.segments.length) {
+      for (const segment of line.segments) {
+        text.appendChild(createSegment(segment, line.language));
+      }
+    } else {
+      appendText(text, line.text || '', line.language);
+    }
+    if (line.placement) row.dataset.placement = line.placement;
+    row.appendChild(text);
+
+    overlay.appendChild(row);
+  });
+
+  if (actions.length) overlay.appendChild(createActionBar(actions));
+}
+
+/**
+ * Row of small buttons under the lines
+ * @private
+ */
+function createActionBar(actions) {
+  const bar = document.createElement('div');
+  bar.className = 'linguaflix-actions';
+  bar.style.cssText = 'display: flex; justify-content: flex-end; gap: 6px; margin-top: 8px';
+
+  for (const action of actions) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'linguaflix-action';
+    button.dataset.action = action.id;
+    button.textContent = action.label;
+    if (action.title) button.title = action.title;
+    button.style.cssText = [
+      'padding: 2px 8px',
+      'background: transparent',
+      'color: inherit',
+      'border: 1px solid currentColor',
+      'border-radius: 4px',
+      'font: inherit',
+      'font-size: 12px',
+      'font-weight: normal',
+      'opacity: 0.7',
+      'cursor: pointer'
+    ].join('; ');
+    button.addEventListener('click', (event) => {
+      event.stopPropagation();
+      try {
+        action.onClick();
+      } catch (e) {
+        console.error('[LinguaFlix] Error in overlay action:', action.id, e);
+      }
+    });
+    bar.appendChild(button);
+  }
+  return bar;
+}
+
+/**
+ * Styled span for one segment of a rich line
+ * Formatting is applied through style properties and the text through text nodes,
+ * so subtitle content never reaches the HTML parser
+ * @private
+ */
+function createSegment(segment, language) {
+  const span = document.createElement('span');
+  span.className = 'linguaflix-segment';
+  if (segment.italic) span.style.fontStyle = 'italic';
+  if (segment.bold) span.style.fontWeight = 'bold';
+  if (segment.underline) span.style.textDecoration = 'underline';
+  if (typeof segment.color === 'string') span.style.color = segment.color; // Invalid colors are ignored by the CSSOM
+  if (segment.direction === 'ltr' || segment.direction === 'rtl') {
+    span.dir = segment.direction;
+    if (segment.bidiOverride) span.style.unicodeBidi = 'bidi-override';
+  }
+
+  if (!segment.ruby) {
+    appendText(span, String(segment.text ?? ''), language);
+    return span;
+  }
+
+  const ruby = document.createElement('ruby');
+  appendText(ruby, String(segment.text ?? ''), language);
+  const annotation = document.createElement('rt');
+  annotation.textContent = String(segment.ruby);
+  annotation.style.cssText = 'font-weight: normal; user-select: none';
+  ruby.appendChild(annotation);
+  span.appendChild(ruby);
+  return span;
+}
+
+/**
+ * Writing direction of a line: the track's own, else from its language tag
+ * @private
+ */
+function lineDirection(line) {
+  if (line.direction === 'ltr' || line.direction === 'rtl') return line.direction;
+  if (!line.language) return 'auto';
+
+  const [language, ...subtags] = line.language.toLowerCase().split(/[-_]/);
+  const script = subtags.find(subtag => /^[a-z]{4}$/.test(subtag));
+  if (script) return RTL_SCRIPTS.includes(script) ? 'rtl' : 'ltr';
+  return RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Text of a line element without ruby annotations (what was actually said)
+ * @private
+ */
+function textWithoutRuby(element) {
+  if (!element) return '';
+  const copy = element.cloneNode(true);
+  copy.querySelectorAll('rt').forEach(annotation => annotation.remove());
+  return copy.textContent;
+}
+
+/**
+ * Fill a text element with plain text, or clickable words in interactive mode
+ * @private
+ */
+function appendText(container, text, language) {
+  if (onWordClick) {
+    appendWords(container, text, language);
+  } else {
+    container.appendChild(document.createTextNode(text));
+  }
+}
+
+/**
+ * Fill a text element with one clickable span per word
+ * Intl.Segmenter finds word boundaries for scripts without spaces (Japanese, Chinese, Thai);
+ * spaces and punctuation stay plain text nodes
+ * @private
+ */
+function appendWords(container, text, language) {
+  let segments;
+  try {
+    segments = [...new Intl.Segmenter(language || undefined, { granularity: 'word' }).segment(text)];
+  } catch {
+    // Unknown locale tag or no Segmenter: whitespace-separated words
+    segments = text.split(/(\s+)/).map(segment => ({ segment, isWordLike: /\S/.test(segment) }));
+  }
+
+  for (const { segment, isWordLike } of segments) {
+    if (!isWordLike) {
+      container.appendChild(document.createTextNode(segment));
+      continue;
+    }
+    const word = document.createElement('span');
+    word.className = 'linguaflix-word';
+    word.textContent = segment;
+    word.style.cursor = 'pointer';
+    container.appendChild(word);
+  }
+}
+
+/**
+ * Format milliseconds as m:ss (or h:mm:ss)
+ * @private
+ */
+function formatTimestamp(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
 
-export { showSubtitle, hideSubtitle, cleanup };
+export { configureOverlay, showSubtitle, showLines, hideSubtitle, setInteractive, showToast, cleanup };
 
 console.log('[LinguaFlix] subtitle-display.js loaded');
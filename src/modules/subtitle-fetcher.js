@@ -4,20 +4,23 @@
  * Detects TTML subtitle requests via PerformanceObserver
  * Fetches TTML XML from Netflix CDN
  * Parses and caches subtitles
- * Triggers initial additional subtitle fetch
+ * Fetches additional tracks directly from their manifest URLs (track switch as fallback)
  * 
- * Dependencies: SubtitleParser (parseTTML)
- * Exports: { setupSubtitleFetching, triggerOverlaySubtitleFetch, getSubtitleCache, cleanup }
+ * Dependencies: SubtitleParser (parseTTML), LanguageTags (findBestMatch, isBroaderTag), ManifestObserver (getTimedTextUrls, forgetManifest)
+ * Exports: { setupSubtitleFetching, fetchTrackSubtitles, triggerOverlaySubtitleFetch, getSubtitleCache, getCachedCues, cleanup }
  * Debug: window.SubtitleFetcher
  */
 
 import { parseTTML } from './subtitle-parser.js';
+import { findBestMatch, isBroaderTag } from './language-tags.js';
+import { getTimedTextUrls, forgetManifest } from './manifest-observer.js';
 
 // Private state
 let performanceObserver = null;
 let processedUrls = new Set(); // Track fetched URLs to avoid duplicates
 let subtitleCache = {};        // { "videoId_language": [cue1, cue2, ...] }
 let playerSessionRef = null;   // Reference to Netflix player session (for videoId)
+let observeSince = 0;          // performance.now() of last cleanup; older entries belong to a previous title
 
 /**
  * setupSubtitleFetching(playerSession)
@@ -27,7 +30,8 @@ let playerSessionRef = null;   // Reference to Netflix player session (for video
  * @returns {void}
  * 
  * How it works:
- * 1. PerformanceObserver watches all network requests
+ * 1. PerformanceObserver watches all network requests, including buffered
+ *    ones made before setup (the active track's TTML usually loads first)
  * 2. When TTML request detected (oca.nflxvideo.net/?o=), fetch it
  * 3. Parse TTML XML into cue objects
  * 4. Cache cues by videoId_language key
@@ -68,8 +72,8 @@ function setupSubtitleFetching(playerSession) {
         const entries = list.getEntries();
         
         for (const entry of entries) {
-          // Check if this is a subtitle request
-          if (isSubtitleRequest(entry.name)) {
+          // Check if this is a subtitle request for the current title
+          if (isSubtitleRequest(entry.name) && entry.startTime >= observeSince) {
             // Skip if already processed
             if (processedUrls.has(entry.name)) {
               continue;
@@ -99,7 +103,8 @@ function setupSubtitleFetching(playerSession) {
     });
 
     // Start observing resource entries (network requests)
-    performanceObserver.observe({ entryTypes: ['resource'] });
+    // buffered: also replay requests made before the observer existed
+    performanceObserver.observe({ type: 'resource', buffered: true });
     
     console.log('[LinguaFlix] PerformanceObserver attached for subtitle detection');
   } catch (err) {
@@ -156,29 +161,78 @@ function handleSubtitleResponse(xmlString, _url, videoId) {
   }
 }
 
+/**
+ * fetchTrackSubtitles(track)
+ * Fetches and caches a track's TTML from the URLs in the playback manifest
+ *
+ * @param {Object} track - Timed text track object from Netflix API
+ * @returns {Promise<boolean>} false when the manifest has no URL for the track
+ *   or every URL failed (the track is not cached then)
+ *
+ * How it works:
+ * 1. ManifestObserver reads the track URLs from the manifest Netflix parsed
+ * 2. Each CDN URL is tried in turn until one returns TTML
+ * 3. The TTML is parsed and cached like a detected request
+ * The player's visible track is never touched.
+ */
+async function fetchTrackSubtitles(track) {
+  // Capture videoId now, like the PerformanceObserver path
+  const videoId = playerSessionRef?.getMovieId?.();
+  const urls = getTimedTextUrls(videoId, track);
+  if (!urls.length) {
+    console.debug(`[LinguaFlix] No manifest URL for ${track?.bcp47} track`);
+    return false;
+  }
+
+  for (const url of urls) {
+    // Already fetched (or being fetched) after the PerformanceObserver saw Netflix request it
+    if (processedUrls.has(url)) return true;
+    // Claimed before fetching: Netflix may request the same file meanwhile (the track is shown),
+    // and the PerformanceObserver must not fetch it again
+    processedUrls.add(url);
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${url}`);
+      }
+      const xmlString = await response.text();
+      handleSubtitleResponse(xmlString, url, videoId);
+      console.log(`[LinguaFlix] Fetched ${track.bcp47} subtitles from the playback manifest`);
+      return true;
+    } catch (err) {
+      console.warn('[LinguaFlix] Failed to fetch TTML from manifest URL:', err);
+      processedUrls.delete(url);
+    }
+  }
+  return false;
+}
+
 /**
  * triggerOverlaySubtitleFetch(overlayTrack, currentTrack, language)
- * Triggers initial overlay subtitle fetch by switching tracks
+ * Loads the overlay track: directly from the playback manifest when possible,
+ * else by switching tracks
  *
  * @param {Object} overlayTrack - Overlay language track object from Netflix API
  * @param {Object} currentTrack - Currently active track object
  * @param {string} language - Language code (e.g., 'pl', 'en')
- * @returns {Promise<void>} Resolves after reverting to original track
+ * @returns {Promise<void>} Resolves once cached, or after reverting to original track
  *
- * How it works:
+ * Fallback (no manifest URL, e.g. the manifest was parsed before the hook was installed):
  * 1. Switch to overlay track via setTimedTextTrack()
  * 2. Netflix fetches TTML for overlay track
  * 3. PerformanceObserver catches the request
  * 4. After 500ms, revert to original track and resolve
  *
- * Why this approach:
+ * Why the fallback works:
  * Netflix only fetches TTML when track is activated.
  * We need overlay TTML early so it's cached when user pauses.
- * We switch momentarily then revert to avoid UI flicker.
+ * We switch momentarily then revert to limit UI flicker.
  */
-function triggerOverlaySubtitleFetch(overlayTrack, currentTrack, language = 'pl') {
+async function triggerOverlaySubtitleFetch(overlayTrack, currentTrack, language = 'pl') {
   console.debug(`[LinguaFlix] triggerOverlaySubtitleFetch() called for language: ${language}`);
 
+  if (overlayTrack && await fetchTrackSubtitles(overlayTrack)) return;
+
   return new Promise((resolve) => {
     if (!playerSessionRef) {
       console.warn('[LinguaFlix] Cannot trigger fetch: player session not available');
@@ -222,6 +276,28 @@ function getSubtitleCache() {
   return subtitleCache;
 }
 
+/**
+ * getCachedCues(videoId, language)
+ * Returns cached cues for a video in the given language
+ * 
+ * @param {string} videoId - Netflix movieId
+ * @param {string} language - Language tag or preference (e.g., 'pl', 'pt-BR', 'pt-BR*')
+ * @returns {Array} Cues (empty array if not cached yet)
+ * 
+ * BCP-47 lookup: cache keys use the TTML xml:lang (e.g., "123_en-US"), so the
+ * closest cached variant wins (LanguageTags.findBestMatch): 'en' finds en-US,
+ * but 'pt-BR' never finds a cached pt-PT track. The xml:lang may also leave out
+ * the region of the track it came from, so when nothing matches, a less specific
+ * key serves the preference (LanguageTags.isBroaderTag): 'pt-BR' finds "123_pt".
+ */
+function getCachedCues(videoId, language) {
+  const keyPrefix = `${videoId}_`;
+  const cacheKeys = Object.keys(subtitleCache).filter(key => key.startsWith(keyPrefix));
+  const getTag = key => key.slice(keyPrefix.length);
+  const cacheKey = findBestMatch(cacheKeys, language, getTag) || cacheKeys.find(key => isBroaderTag(getTag(key), language));
+  return cacheKey ? subtitleCache[cacheKey] : [];
+}
+
 /**
  * cleanup()
  * Stops PerformanceObserver and clears cache
@@ -240,10 +316,15 @@ function cleanup() {
     performanceObserver = null;
   }
 
+  // The manifest of the title being left: its URLs expire, a new one comes on replay
+  const videoId = playerSessionRef?.getMovieId?.();
+  if (videoId) forgetManifest(videoId);
+
   // Clear state
   processedUrls.clear();
   subtitleCache = {};
   playerSessionRef = null;
+  observeSince = performance.now();
 
   console.log('[LinguaFlix] Subtitle fetching cleaned up');
 }
@@ -252,6 +333,6 @@ function cleanup() {
 // EXPORTS
 // ============================================
 
-export { setupSubtitleFetching, triggerOverlaySubtitleFetch, getSubtitleCache, cleanup };
+export { setupSubtitleFetching, fetchTrackSubtitles, triggerOverlaySubtitleFetch, getSubtitleCache, getCachedCues, cleanup };
 
 console.log('[LinguaFlix] SubtitleFetcher module loaded');
@@ -2,14 +2,89 @@
  * subtitle-parser.js
  * 
  * Parse TTML XML from Netflix CDN into cue objects
- * Time conversion from ticks to milliseconds
- * Find cue at given timestamp
+ * TTML timing: clock and offset times (ticks, frames), nested begin/end/dur
+ * TTML styling: italic/bold/underline/color spans and region placement (rich cues)
+ * TTML ruby (furigana) and writing direction (tts:direction, tts:unicodeBidi)
+ * Find cue(s) at given timestamp (indexed: overlapping cues supported)
+ * Write cues as SRT / WebVTT / plain text (and read SRT / WebVTT back)
  * 
  * Public API:
  * - parseTTML(xmlString) → {cues: [...], language: string}
+ *   (cue: {text, start, end, segments?: [{text, italic?, bold?, underline?, color?, ruby?, direction?, bidiOverride?}],
+ *   placement?: 'top'|'bottom', direction?: 'ltr'|'rtl'})
  * - findCueAt(timeMs, cues) → {text, start, end} | null
+ * - findCuesAt(timeMs, cues) → [{text, start, end}, ...]
+ * - getCueContext(timeMs, cues, count) → {before: [...], current, after: [...]}
+ * - findPreviousCue(timeMs, cues) → {text, start, end} | null
+ * - findNextCue(timeMs, cues) → {text, start, end} | null
+ * - linkSentences(cues, language, options) → number of sentences
+ * - getSentenceFor(cue, cues, language) → {text, start, end, cues, segments?, placement?, direction?} | null
+ * - getCueDensity(cue) → characters per second
+ * - getDensityProfile(cues, bucketMs) → [{start, end, cps, cueCount}, ...]
+ * - toSRT(cues) → string
+ * - toWebVTT(cues) → string
+ * - toPlainText(cues, language) → string
+ * - alignCues(primaryCues, secondaryCues) → [{start, end, primary, secondary: [...]}, ...]
+ * - mergeBilingualCues(primaryCues, secondaryCues) → [...]
+ * - parseSRT(text) → {cues: [...], language: null}
+ * - parseWebVTT(text) → {cues: [...], language: null}
+ *
+ * Dependencies: CueStore (getCueStore), CueAlignment (alignTracks)
  */
 
+import { getCueStore } from './cue-store.js';
+import { alignTracks } from './cue-alignment.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Sentence-final punctuation (Latin, CJK full-width, Arabic, Devanagari, Armenian, Ethiopic)
+const SENTENCE_END_RE = /[.!?‼‽。！？｡؟۔।॥։።]$/u;
+// Trailing characters ignored when looking for the final punctuation: closing quotes/brackets
+const TRAILING_CLOSERS_RE = /["'”’»」』）)\]\s]+$/u;
+// A trailing ellipsis means the sentence continues in the next cue
+const CONTINUATION_RE = /(\.\.\.|…)$/u;
+// Dialogue dash at the start of a cue introduces a new speaker
+const DIALOGUE_DASH_RE = /^[-–—]/u;
+// CJK subtitles often drop the final full stop: only these marks carry a sentence on
+const CJK_CONTINUATION_RE = /[、，,…‥―ー〜~]$/u;
+// Languages written without spaces between words
+const NO_SPACE_LANGUAGES = ['ja', 'zh', 'yue', 'th', 'lo', 'km', 'my'];
+// Languages whose subtitles follow the CJK line-ending convention above
+const CJK_LANGUAGES = ['ja', 'zh', 'yue'];
+
+// Cue timing line of SRT ("00:00:01,000 --> 00:00:02,500") and WebVTT ("00:01.000 --> 00:02.500 align:start")
+const TIMING_LINE_RE = /^\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})\s+-->\s+((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})/;
+
+// TTML clock time: hours:minutes:seconds with a fraction, or with frames (and sub-frames)
+const CLOCK_TIME_RE = /^(\d{2,}):(\d{2}):(\d{2})(?:(\.\d+)|:(\d{2,})(?:\.(\d+))?)?$/;
+// TTML offset time: a number with a unit (ms before m, so "500ms" is not read as minutes)
+const OFFSET_TIME_RE = /^(\d+(?:\.\d+)?)(h|ms|m|s|f|t)$/;
+const TIMING_ATTRIBUTES = ['begin', 'end', 'dur'];
+
+const DEFAULT_TIMING = {
+  tickRate: 10000000,  // Netflix tracks count in 10 MHz ticks
+  frameRate: 30,       // TTML default ttp:frameRate
+  subFrameRate: 1      // TTML default ttp:subFrameRate
+};
+
+// tts: attributes kept from <style>, <region> and content elements
+const STYLE_ATTRIBUTES = [
+  'fontStyle', 'fontWeight', 'textDecoration', 'color',
+  'origin', 'extent', 'displayAlign',
+  'ruby', 'direction', 'unicodeBidi'
+];
+const DIRECTIONS = ['ltr', 'rtl'];
+// Caption text is white unless styled otherwise: white is not worth a color of its own
+const DEFAULT_TEXT_COLORS = ['white', '#fff', '#ffffff', '#ffffffff', 'rgb(255, 255, 255)', 'rgba(255, 255, 255, 1)'];
+const DEFAULT_CELL_ROWS = 15;  // TTML default ttp:cellResolution="32 15"
+
+const DEFAULT_SENTENCE_OPTIONS = {
+  maxGapMs: 1500,      // A longer silence always ends the sentence
+  maxCues: 4           // Safety cap for runaway sentences (e.g. songs without punctuation)
+};
+
 // ============================================================================
 // PUBLIC API
 // ============================================================================
@@ -44,49 +119,34 @@ function parseTTML(xmlString) {
       result.language = xmlLang === 'en' ? 'en-US' : xmlLang;
     }
 
-    // Extract tickRate for time conversion
-    const tickRateAttr = rootElement.getAttribute('ttp:tickRate');
-    const parsedTickRate = tickRateAttr ? Number.parseInt(tickRateAttr, 10) : 10000000;
-    const tickRate = Number.isFinite(parsedTickRate) && parsedTickRate > 0
-      ? parsedTickRate
-      : 10000000;
+    const context = { timing: readTimingParameters(rootElement), layout: readLayout(rootElement) };
 
     const bodyElement = xmlDoc.getElementsByTagNameNS('*', 'body')[0];
-    const pElements = bodyElement ? bodyElement.getElementsByTagNameNS('*', 'p') : [];
-
-    if (!pElements.length) {
+    if (!bodyElement || !bodyElement.getElementsByTagNameNS('*', 'p').length) {
       console.warn('[LinguaFlix] No <p> elements found in TTML');
       return result;
     }
 
-    // Parse each <p> element into a cue
-    for (const p of pElements) {
-      const begin = p.getAttribute('begin');
-      const end = p.getAttribute('end');
-      const text = extractCueText(p);
-
-      if (!begin || !end) continue;
-
-      const startMs = timeToMs(begin, tickRate);
-      const endMs = timeToMs(end, tickRate);
-
-      if (text) {
-        result.cues.push({
-          text,
-          start: startMs,
-          end: endMs
-        });
-      }
-    }
+    // <body> and <div> begin/end/dur shift and clip the paragraphs inside them;
+    // their styles and regions are inherited the same way
+    const bodyInterval = resolveInterval(bodyElement, { begin: 0, end: Infinity }, context.timing);
+    const bodyStyle = computeStyle(bodyElement, {}, context.layout);
+    if (bodyInterval) collectCues(bodyElement, bodyInterval, bodyStyle, context, result.cues);
 
     // Sort cues by start time
     result.cues.sort((a, b) => a.start - b.start);
 
+    // Link cues split across sentence boundaries
+    const sentenceCount = linkSentences(result.cues, result.language);
+
     const multilineCount = result.cues.reduce((acc, c) =>
       acc + (c.text?.includes('\n') ? 1 : 0), 0);
+    const styledCount = result.cues.filter(c => c.segments).length;
     console.log('[LinguaFlix] Parsed TTML: language=' + result.language + 
                 ', cues=' + result.cues.length + 
-                ', multiline cues=' + multilineCount);
+                ', multiline cues=' + multilineCount +
+                ', styled cues=' + styledCount +
+                ', sentences=' + sentenceCount);
     return result;
   } catch (err) {
     console.error('[LinguaFlix] Error parsing TTML:', err);
@@ -96,17 +156,323 @@ function parseTTML(xmlString) {
 
 /**
  * Find cue at given timestamp
+ * When cues overlap, the one that started first (see findCuesAt for all of them)
  * @param {number} timeMs - Time in milliseconds
  * @param {Array} cues - Array of cue objects (sorted by start)
  * @returns {Object|null} - Cue object or null
  */
 function findCueAt(timeMs, cues) {
   if (!Array.isArray(cues) || !cues.length) return null;
-  for (const c of cues) {
-    if (timeMs >= c.start && timeMs < c.end) return c;
-    if (timeMs < c.start) break; // cues sorted, early exit
+  return getCueStore(cues).cuesAt(timeMs)[0] || null;
+}
+
+/**
+ * Find every cue active at given timestamp (overlapping lines: two speakers,
+ * a sign translation plus dialogue)
+ * @param {number} timeMs - Time in milliseconds
+ * @param {Array} cues - Array of cue objects (sorted by start)
+ * @returns {Array} - Cue objects, sorted by start (empty in a gap)
+ */
+function findCuesAt(timeMs, cues) {
+  if (!Array.isArray(cues) || !cues.length) return [];
+  return getCueStore(cues).cuesAt(timeMs);
+}
+
+/**
+ * Get the cue at given timestamp plus up to `count` cues before and after it
+ * In a gap between cues, `current` is null and the neighbours are taken
+ * around the timestamp; other cues active at the same time are not neighbours
+ * @param {number} timeMs - Time in milliseconds
+ * @param {Array} cues - Array of cue objects (sorted by start)
+ * @param {number} count - Number of cues on each side
+ * @returns {{before: Array, current: Object|null, after: Array}}
+ */
+function getCueContext(timeMs, cues, count) {
+  const result = { before: [], current: null, after: [] };
+  if (!Array.isArray(cues) || !cues.length) return result;
+
+  const store = getCueStore(cues);
+  const active = store.cuesAt(timeMs);
+  const afterIndex = store.firstIndexAfter(timeMs);
+
+  result.current = active[0] || null;
+  result.after = store.cues.slice(afterIndex, afterIndex + count);
+  result.before = count > 0
+    ? store.cues.slice(Math.max(0, afterIndex - count - active.length), afterIndex)
+      .filter(cue => !active.includes(cue))
+      .slice(-count)
+    : [];
+
+  return result;
+}
+
+/**
+ * Get the line before the one at given timestamp, for "previous line" navigation
+ * The latest-starting cue that already ended: inside a cue that is the cue before it
+ * @param {number} timeMs - Time in milliseconds
+ * @param {Array} cues - Array of cue objects (sorted by start)
+ * @returns {Object|null} - Cue object or null
+ */
+function findPreviousCue(timeMs, cues) {
+  if (!Array.isArray(cues) || !cues.length) return null;
+  return getCueStore(cues).previous(timeMs);
+}
+
+/**
+ * Get the first cue starting after given timestamp, for "next line" navigation
+ * @param {number} timeMs - Time in milliseconds
+ * @param {Array} cues - Array of cue objects (sorted by start)
+ * @returns {Object|null} - Cue object or null
+ */
+function findNextCue(timeMs, cues) {
+  if (!Array.isArray(cues) || !cues.length) return null;
+  return getCueStore(cues).next(timeMs);
+}
+
+/**
+ * Group consecutive cues into sentence units
+ * Sets `sentenceId` on every cue; cues of one sentence share the same id
+ *
+ * A sentence ends after a cue when:
+ * - its text ends with sentence-final punctuation (not an ellipsis),
+ *   including CJK full stops (。！？); in Chinese/Japanese tracks, which
+ *   usually omit the final full stop, any cue not ending in a comma,
+ *   ellipsis or dash ends the sentence
+ * - the gap to the next cue exceeds options.maxGapMs
+ * - the next cue starts with a dialogue dash (new speaker)
+ * - the sentence already spans options.maxCues cues
+ *
+ * @param {Array} cues - Array of cue objects (sorted by start), modified in place
+ * @param {string} language - BCP-47 code of the track
+ * @param {Object} options - Overrides for DEFAULT_SENTENCE_OPTIONS
+ * @returns {number} Number of sentences
+ */
+function linkSentences(cues, language, options = {}) {
+  if (!Array.isArray(cues) || !cues.length) return 0;
+
+  const { maxGapMs, maxCues } = { ...DEFAULT_SENTENCE_OPTIONS, ...options };
+  const cjk = CJK_LANGUAGES.includes(primaryLanguage(language));
+  let sentenceId = 0;
+  let cuesInSentence = 0;
+
+  cues.forEach((cue, index) => {
+    cue.sentenceId = sentenceId;
+    cuesInSentence++;
+
+    const next = cues[index + 1];
+    if (!next) return;
+
+    const ends = endsSentence(cue.text, cjk) ||
+      next.start - cue.end > maxGapMs ||
+      DIALOGUE_DASH_RE.test(next.text.trimStart()) ||
+      cuesInSentence >= maxCues;
+
+    if (ends) {
+      sentenceId++;
+      cuesInSentence = 0;
+    }
+  });
+
+  return sentenceId + 1;
+}
+
+/**
+ * Get the whole sentence a cue belongs to (see linkSentences)
+ * Styled segments are joined like the texts; placement and direction are the first cue's
+ * @param {Object} cue - Cue object from `cues`
+ * @param {Array} cues - Array of cue objects (sorted by start, sentences linked)
+ * @param {string} language - BCP-47 code, decides how cue texts are joined
+ * @returns {{text: string, start: number, end: number, cues: Array, segments?: Array, placement?: string, direction?: string}|null}
+ */
+function getSentenceFor(cue, cues, language) {
+  if (!cue || !Array.isArray(cues) || cue.sentenceId === undefined) return null;
+
+  const index = cues.indexOf(cue);
+  if (index === -1) return null;
+
+  let first = index;
+  let last = index;
+  while (first > 0 && cues[first - 1].sentenceId === cue.sentenceId) first--;
+  while (last < cues.length - 1 && cues[last + 1].sentenceId === cue.sentenceId) last++;
+
+  const sentenceCues = cues.slice(first, last + 1);
+  const separator = joinsWithoutSpace(language, sentenceCues) ? '' : ' ';
+
+  const sentence = {
+    text: sentenceCues.map(c => c.text.trim()).join(separator),
+    start: sentenceCues[0].start,
+    end: sentenceCues[sentenceCues.length - 1].end,
+    cues: sentenceCues
+  };
+  if (sentenceCues.some(c => c.segments)) {
+    sentence.segments = sentenceCues.flatMap((c, i) => (i > 0 && separator ? [{ text: separator }] : [])
+      .concat(c.segments || [{ text: c.text.trim() }]));
+  }
+  if (sentenceCues[0].placement) sentence.placement = sentenceCues[0].placement;
+  if (sentenceCues[0].direction) sentence.direction = sentenceCues[0].direction;
+  return sentence;
+}
+
+/**
+ * Reading speed of a cue in characters per second
+ * Counts code points (so CJK lines count per character), ignoring whitespace
+ * @param {Object} cue - Cue object
+ * @returns {number} Characters per second (0 for an empty or zero-length cue)
+ */
+function getCueDensity(cue) {
+  const seconds = ((cue?.end ?? 0) - (cue?.start ?? 0)) / 1000;
+  if (seconds <= 0) return 0;
+  return countReadableChars(cue.text) / seconds;
+}
+
+/**
+ * Dialogue density over a whole track, in fixed-length buckets
+ * A bucket's speed is the characters of the cues starting in it over their
+ * total duration, so silence does not dilute it
+ * @param {Array} cues - Array of cue objects (sorted by start)
+ * @param {number} bucketMs - Bucket length in milliseconds
+ * @returns {Array<{start: number, end: number, cps: number, cueCount: number}>}
+ *   One bucket per bucketMs up to the last cue (empty buckets have cps 0)
+ */
+function getDensityProfile(cues, bucketMs = 60000) {
+  if (!Array.isArray(cues) || !cues.length || !(bucketMs > 0)) return [];
+
+  const lastEnd = Math.max(...cues.map(c => c.end));
+  const buckets = Array.from({ length: Math.ceil(lastEnd / bucketMs) || 1 }, (_, index) => ({
+    start: index * bucketMs,
+    end: (index + 1) * bucketMs,
+    chars: 0,
+    durationMs: 0,
+    cueCount: 0
+  }));
+
+  for (const cue of cues) {
+    const bucket = buckets[Math.min(buckets.length - 1, Math.floor(cue.start / bucketMs))];
+    if (cue.end <= cue.start) continue;
+    bucket.chars += countReadableChars(cue.text);
+    bucket.durationMs += cue.end - cue.start;
+    bucket.cueCount++;
   }
-  return null;
+
+  return buckets.map(({ start, end, chars, durationMs, cueCount }) => ({
+    start,
+    end,
+    cps: durationMs > 0 ? chars / (durationMs / 1000) : 0,
+    cueCount
+  }));
+}
+
+/**
+ * Serialize cues as SubRip (SRT)
+ * Blank lines inside a cue would end it early, so they are dropped
+ * @param {Array} cues - Array of cue objects (sorted by start)
+ * @returns {string} SRT file content
+ */
+function toSRT(cues) {
+  return (cues || []).map((cue, index) => [
+    index + 1,
+    `${formatTimecode(cue.start, ',')} --> ${formatTimecode(cue.end, ',')}`,
+    cueTextLines(cue.text).join('\n')
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+/**
+ * Serialize cues as WebVTT (text escaped: &, <, > are markup in WebVTT)
+ * @param {Array} cues - Array of cue objects (sorted by start)
+ * @returns {string} WebVTT file content
+ */
+function toWebVTT(cues) {
+  const blocks = (cues || []).map(cue => [
+    `${formatTimecode(cue.start, '.')} --> ${formatTimecode(cue.end, '.')}`,
+    cueTextLines(cue.text).map(escapeWebVTT).join('\n')
+  ].join('\n'));
+  return ['WEBVTT'].concat(blocks).join('\n\n') + '\n';
+}
+
+/**
+ * Serialize cues as a plain-text transcript: one sentence per line
+ * (cues of a sentence, see linkSentences, are joined like getSentenceFor does)
+ * @param {Array} cues - Array of cue objects (sorted by start)
+ * @param {string} language - BCP-47 code, decides how cue texts are joined
+ * @returns {string} Transcript
+ */
+function toPlainText(cues, language) {
+  const lines = [];
+  let group = [];
+
+  const flush = () => {
+    if (!group.length) return;
+    const separator = joinsWithoutSpace(language, group) ? '' : ' ';
+    lines.push(group.map(c => cueTextLines(c.text).join(separator)).join(separator));
+    group = [];
+  };
+
+  for (const cue of cues || []) {
+    if (group.length && (cue.sentenceId === undefined || cue.sentenceId !== group[0].sentenceId)) flush();
+    group.push(cue);
+  }
+  flush();
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Pair the lines of two tracks the way the overlay does (CueAlignment.alignTracks):
+ * secondary cues go to the primary line holding the largest share of them;
+ * secondary cues aligned with no primary cue get a row of their own
+ * @param {Array} primaryCues - Cues of the first track (sorted by start)
+ * @param {Array} secondaryCues - Cues of the second track (sorted by start)
+ * @returns {Array<{start: number, end: number, primary: Object|null, secondary: Array}>}
+ *   Rows (sorted by start); start/end are the primary cue's, or the lone secondary cue's
+ */
+function alignCues(primaryCues, secondaryCues) {
+  const alignment = alignTracks(primaryCues || [], secondaryCues || []);
+  const matched = new Set();
+
+  const rows = (primaryCues || []).map((cue) => {
+    const secondary = [...(alignment.get(cue) || [])];
+    secondary.forEach(c => matched.add(c));
+    return { start: cue.start, end: cue.end, primary: cue, secondary };
+  });
+  const unmatched = (secondaryCues || [])
+    .filter(cue => !matched.has(cue))
+    .map(cue => ({ start: cue.start, end: cue.end, primary: null, secondary: [cue] }));
+
+  return rows.concat(unmatched).sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Merge two tracks into one for bilingual subtitles: every primary cue gets
+ * the text of the secondary cues aligned with it, on the lines below its own
+ * Secondary cues aligned with no primary cue are kept as cues of their own (see alignCues)
+ * @param {Array} primaryCues - Cues shown first (sorted by start)
+ * @param {Array} secondaryCues - Cues shown second (sorted by start)
+ * @returns {Array<{text: string, start: number, end: number}>} Merged cues (sorted by start)
+ */
+function mergeBilingualCues(primaryCues, secondaryCues) {
+  return alignCues(primaryCues, secondaryCues).map(row => ({
+    text: (row.primary ? [row.primary] : []).concat(row.secondary).map(c => c.text).join('\n'),
+    start: row.start,
+    end: row.end
+  }));
+}
+
+/**
+ * Parse a SubRip (SRT) file
+ * @param {string} text - SRT file content
+ * @returns {{cues: Array, language: null}} Cues (sorted by start)
+ */
+function parseSRT(text) {
+  return { cues: parseTimedBlocks(text, false), language: null };
+}
+
+/**
+ * Parse a WebVTT file (cue settings, tags and NOTE/STYLE blocks are ignored)
+ * @param {string} text - WebVTT file content
+ * @returns {{cues: Array, language: null}} Cues (sorted by start)
+ */
+function parseWebVTT(text) {
+  return { cues: parseTimedBlocks(text, true), language: null };
 }
 
 // ============================================================================
@@ -114,69 +480,617 @@ function findCueAt(timeMs, cues) {
 // ============================================================================
 
 /**
- * Convert TTML time format (ticks) → milliseconds
+ * Milliseconds → "HH:MM:SS,mmm" (SRT) or "HH:MM:SS.mmm" (WebVTT)
+ * @private
+ */
+function formatTimecode(ms, decimalSeparator) {
+  const total = Math.max(0, Math.round(ms || 0));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+  return [hours, minutes, seconds].map(n => String(n).padStart(2, '0')).join(':') +
+    decimalSeparator + String(millis).padStart(3, '0');
+}
+
+/**
+ * "HH:MM:SS,mmm" / "MM:SS.mmm" → milliseconds
+ * @private
+ */
+function parseTimecode(timecode) {
+  const [clock, fraction] = timecode.split(/[,.]/);
+  const parts = clock.split(':').map(Number);
+  while (parts.length < 3) parts.unshift(0);
+  const [hours, minutes, seconds] = parts;
+  return ((hours * 60 + minutes) * 60 + seconds) * 1000 + Number(fraction.padEnd(3, '0'));
+}
+
+/**
+ * Non-empty, trimmed lines of a cue text
+ * @private
+ */
+function cueTextLines(text) {
+  return String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Escape WebVTT cue text
+ * @private
+ */
+function escapeWebVTT(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Undo WebVTT escaping and drop cue markup (<i>, <c.class>, <v Speaker>, timestamps)
+ * @private
+ */
+function unescapeWebVTT(text) {
+  return text
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, '\u00A0')
+    .replace(/&lrm;/g, '\u200E')
+    .replace(/&rlm;/g, '\u200F')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Shared SRT/WebVTT reader: blank-line separated blocks with a timing line
+ * (an optional index/identifier line before it is skipped)
+ * @private
+ */
+function parseTimedBlocks(text, webVTT) {
+  const cues = [];
+  const blocks = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => TIMING_LINE_RE.test(line));
+    if (timingIndex === -1) continue; // Header, NOTE, STYLE or garbage
+
+    const [, begin, end] = lines[timingIndex].match(TIMING_LINE_RE);
+    const textLines = lines.slice(timingIndex + 1).map(line => (webVTT ? unescapeWebVTT(line) : line).trim());
+    const cueText = textLines.filter(Boolean).join('\n');
+    if (!cueText) continue;
+
+    cues.push({ text: cueText, start: parseTimecode(begin), end: parseTimecode(end) });
+  }
+
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Read the ttp: timing parameters of a TTML document
+ * tickRate defaults to frameRate × subFrameRate when a frame rate is given (as in
+ * the spec), else to Netflix's 10 MHz
  * @private
  */
-function timeToMs(timeStr, tickRate = 10000000) {
-  if (!timeStr || typeof timeStr !== 'string') return 0;
+function readTimingParameters(rootElement) {
+  const positive = (value, fallback) => {
+    const number = Number.parseFloat(value);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+  };
+
+  const frameRateAttr = rootElement.getAttribute('ttp:frameRate');
+  const frameRate = positive(frameRateAttr, DEFAULT_TIMING.frameRate);
+  const subFrameRate = positive(rootElement.getAttribute('ttp:subFrameRate'), DEFAULT_TIMING.subFrameRate);
 
-  // Handle tick format: "513429584t" (Netflix native format)
-  if (timeStr.endsWith('t')) {
-    const ticks = Number.parseInt(timeStr.slice(0, -1), 10);
-    if (!Number.isNaN(ticks)) {
-      return Math.round((ticks / tickRate) * 1000);
+  // "1000 1001" → NTSC rates (29.97 fps from ttp:frameRate="30")
+  const [numerator, denominator] = (rootElement.getAttribute('ttp:frameRateMultiplier') || '')
+    .trim().split(/\s+/).map(Number);
+  const multiplier = numerator > 0 && denominator > 0 ? numerator / denominator : 1;
+
+  return {
+    tickRate: positive(rootElement.getAttribute('ttp:tickRate'),
+      frameRateAttr ? frameRate * subFrameRate : DEFAULT_TIMING.tickRate),
+    frameRate: frameRate * multiplier,
+    subFrameRate
+  };
+}
+
+/**
+ * Collect cues from the <div>/<p> children of a timed element
+ * @param {Element} element - <body> or <div>
+ * @param {{begin: number, end: number}} interval - Its resolved interval (ms)
+ * @param {Object} style - Its computed style (see computeStyle)
+ * @param {{timing: Object, layout: Object}} context - See readTimingParameters, readLayout
+ * @private
+ */
+function collectCues(element, interval, style, context, cues) {
+  for (const child of element.children) {
+    if (child.localName !== 'div' && child.localName !== 'p') continue;
+
+    const childInterval = resolveInterval(child, interval, context.timing);
+    if (!childInterval) continue;
+
+    const childStyle = computeStyle(child, style, context.layout);
+    if (child.localName === 'div') {
+      collectCues(child, childInterval, childStyle, context, cues);
+    } else {
+      cues.push(...cuesFromParagraph(child, childInterval, childStyle, context));
     }
   }
+}
+
+/**
+ * Cues of one <p>: a single cue, or one per stretch where its timed <span>s
+ * show different text (e.g. words revealed one by one)
+ * @param {{begin: number, end: number}} interval - Resolved interval of the <p> (ms)
+ * @param {Object} style - Computed style of the <p> (see computeStyle)
+ * @private
+ */
+function cuesFromParagraph(p, interval, style, { timing, layout }) {
+  if (!Number.isFinite(interval.end) || interval.end <= interval.begin) return [];
+
+  const hints = {
+    placement: placementOf(style, layout),
+    direction: DIRECTIONS.includes(style.direction) ? style.direction : null
+  };
+
+  // Resolve the intervals of timed descendants (nested timing is relative to the parent)
+  const spanIntervals = new Map();
+  (function resolve(node, parentInterval) {
+    for (const child of node.children) {
+      let childInterval = parentInterval;
+      if (TIMING_ATTRIBUTES.some(name => child.hasAttribute(name))) {
+        childInterval = resolveInterval(child, parentInterval, timing) || { begin: parentInterval.begin, end: parentInterval.begin };
+        spanIntervals.set(child, childInterval);
+      }
+      resolve(child, childInterval);
+    }
+  })(p, interval);
+
+  if (!spanIntervals.size) {
+    const segments = extractCueSegments(p, style, layout);
+    return segments.length ? [buildCue(segments, interval.begin, interval.end, hints)] : [];
+  }
+
+  const boundaries = [...new Set([interval.begin, interval.end, ...[...spanIntervals.values()]
+    .flatMap(({ begin, end }) => [begin, end])
+    .filter(time => time > interval.begin && time < interval.end)])]
+    .sort((a, b) => a - b);
+
+  const cues = [];
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const start = boundaries[i];
+    const segments = extractCueSegments(p, style, layout, (element) => {
+      const elementInterval = spanIntervals.get(element);
+      return !elementInterval || (start >= elementInterval.begin && start < elementInterval.end);
+    }, true); // Collapse the spaces around a hidden span
+    if (!segments.length) continue;
+
+    const cue = buildCue(segments, start, boundaries[i + 1], hints);
+    const previous = cues[cues.length - 1];
+    if (previous && previous.end === start && previous.text === cue.text &&
+        JSON.stringify(previous.segments) === JSON.stringify(cue.segments)) {
+      previous.end = cue.end;
+    } else {
+      cues.push(cue);
+    }
+  }
+  return cues;
+}
+
+/**
+ * Cue object from text segments; `segments` is only kept when some text is styled
+ * (or annotated with ruby)
+ * @param {{placement: string|null, direction: string|null}} hints - Paragraph-level hints
+ * @private
+ */
+function buildCue(segments, start, end, { placement, direction }) {
+  const cue = { text: segments.map(segment => segment.text).join(''), start, end };
+  if (segments.some(segment => Object.keys(segment).length > 1)) cue.segments = segments;
+  if (placement) cue.placement = placement;
+  if (direction) cue.direction = direction;
+  return cue;
+}
+
+/**
+ * Absolute interval of a timed element inside its parent (parallel time container):
+ * begin and end count from the parent's begin, dur from the element's own begin;
+ * without end or dur the element lasts as long as its parent, and never longer
+ * @param {{begin: number, end: number}} parentInterval - Parent's interval (ms)
+ * @returns {{begin: number, end: number}|null} Interval in ms, or null if a time is invalid
+ * @private
+ */
+function resolveInterval(element, parentInterval, timing) {
+  const [beginAttr, endAttr, durAttr] = TIMING_ATTRIBUTES.map(name => element.getAttribute(name));
+  const beginOffset = beginAttr ? timeToMs(beginAttr, timing) : 0;
+  const endOffset = endAttr ? timeToMs(endAttr, timing) : null;
+  const duration = durAttr ? timeToMs(durAttr, timing) : null;
+
+  if ([beginOffset, endOffset, duration].some(Number.isNaN)) {
+    console.warn(`[LinguaFlix] Skipping <${element.localName}> with invalid TTML timing:`, { begin: beginAttr, end: endAttr, dur: durAttr });
+    return null;
+  }
+
+  const begin = parentInterval.begin + beginOffset;
+  const ends = [parentInterval.end];
+  if (endOffset !== null) ends.push(parentInterval.begin + endOffset);
+  if (duration !== null) ends.push(begin + duration);
+
+  return { begin, end: Math.min(...ends) };
+}
+
+/**
+ * Convert a TTML time expression → milliseconds
+ * - clock time: "01:02:03.456", "01:02:03:12" (frames), "01:02:03:12.1" (sub-frames)
+ * - offset time: number (fraction allowed) + h / m / s / ms / f (frames) / t (ticks),
+ *   e.g. "513429584t" (Netflix), "2.5s", "90f"
+ * @param {string} timeStr - Time expression
+ * @param {{tickRate: number, frameRate: number, subFrameRate: number}} timing - See readTimingParameters
+ * @returns {number} Milliseconds (rounded), or NaN if the expression is not valid
+ * @private
+ */
+function timeToMs(timeStr, timing = DEFAULT_TIMING) {
+  const value = String(timeStr ?? '').trim();
+
+  const clock = CLOCK_TIME_RE.exec(value);
+  if (clock) {
+    const [, hours, minutes, seconds, fraction, frames, subFrames] = clock;
+    let totalSeconds = Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction || 0);
+    if (frames !== undefined) {
+      totalSeconds += (Number(frames) + Number(subFrames || 0) / timing.subFrameRate) / timing.frameRate;
+    }
+    return Math.round(totalSeconds * 1000);
+  }
+
+  const offset = OFFSET_TIME_RE.exec(value);
+  if (offset) {
+    const amount = Number(offset[1]);
+    const msPerUnit = {
+      h: 3600000,
+      m: 60000,
+      s: 1000,
+      ms: 1,
+      f: 1000 / timing.frameRate,
+      t: 1000 / timing.tickRate
+    }[offset[2]];
+    return Math.round(amount * msPerUnit);
+  }
+
+  console.warn('[LinguaFlix] WARNING: Unexpected TTML time format detected: "' + timeStr + '"');
+  return NaN;
+}
+
+/**
+ * Characters a viewer has to read: code points without whitespace
+ * @private
+ */
+function countReadableChars(text) {
+  return Array.from(String(text || '').replace(/\s+/g, '')).length;
+}
+
+/**
+ * True if cue text closes a sentence (ignores closing quotes/brackets)
+ * @param {boolean} cjk - Apply the Chinese/Japanese line-ending convention
+ * @private
+ */
+function endsSentence(text, cjk) {
+  const trimmed = (text || '').replace(TRAILING_CLOSERS_RE, '');
+  if (CONTINUATION_RE.test(trimmed)) return false;
+  if (cjk) return !CJK_CONTINUATION_RE.test(trimmed);
+  return SENTENCE_END_RE.test(trimmed);
+}
+
+/**
+ * Primary language subtag ('zh-Hant' → 'zh')
+ * @private
+ */
+function primaryLanguage(language) {
+  return (language || '').toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * True if cue texts should be joined without a space (CJK and similar scripts)
+ * Decided by the track language, or by the text itself when the language is unknown
+ * @private
+ */
+function joinsWithoutSpace(language, cues) {
+  const primary = primaryLanguage(language);
+  if (primary) return NO_SPACE_LANGUAGES.includes(primary);
+  return cues.some(c => /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(c.text));
+}
+
+/**
+ * Read the named styles (<styling>) and regions (<layout>) of a TTML document
+ * Styles may reference other styles; a region's styles (referenced, nested or
+ * inline) apply to the text shown in it
+ * @returns {{styles: Map, regions: Map, extent: {width: number, height: number}|null, cellRows: number}}
+ *   styles/regions map xml:id → style object (see readStyleAttributes); extent is the
+ *   root size in px (needed for px lengths)
+ * @private
+ */
+function readLayout(rootElement) {
+  const [width, height] = (rootElement.getAttribute('tts:extent') || '').trim().split(/\s+/)
+    .map(length => /^\d+(\.\d+)?px$/.test(length) ? Number.parseFloat(length) : NaN);
+  const cellRows = Number((rootElement.getAttribute('ttp:cellResolution') || '').trim().split(/\s+/)[1]);
+  const layout = {
+    styles: new Map(),
+    regions: new Map(),
+    extent: width > 0 && height > 0 ? { width, height } : null,
+    cellRows: cellRows > 0 ? cellRows : DEFAULT_CELL_ROWS
+  };
+
+  const styleElements = new Map();
+  for (const element of rootElement.getElementsByTagNameNS('*', 'style')) {
+    const id = element.getAttribute('xml:id');
+    if (id && element.parentNode?.localName === 'styling') styleElements.set(id, element);
+  }
+
+  // Resolve style chains in any order; a reference cycle resolves to nothing
+  const resolving = new Set();
+  const resolveStyle = (id) => {
+    if (layout.styles.has(id)) return layout.styles.get(id);
+    const element = styleElements.get(id);
+    if (!element || resolving.has(id)) return {};
+    resolving.add(id);
+    const style = Object.assign({}, ...styleReferences(element).map(resolveStyle), readStyleAttributes(element));
+    layout.styles.set(id, style);
+    return style;
+  };
+  styleElements.forEach((element, id) => resolveStyle(id));
+
+  for (const region of rootElement.getElementsByTagNameNS('*', 'region')) {
+    const id = region.getAttribute('xml:id');
+    if (!id) continue;
+    const nested = [...region.children].filter(child => child.localName === 'style').map(readStyleAttributes);
+    layout.regions.set(id, Object.assign({},
+      ...styleReferences(region).map(ref => layout.styles.get(ref) || {}),
+      ...nested,
+      readStyleAttributes(region)));
+  }
+
+  return layout;
+}
+
+/**
+ * Style of a content element: the parent's style, then its region's, its
+ * referenced styles and its own tts: attributes (later ones win)
+ * @param {Object} inherited - Computed style of the parent element
+ * @private
+ */
+function computeStyle(element, inherited, layout) {
+  const regionId = element.getAttribute('region');
+  return Object.assign({}, inherited,
+    (regionId && layout.regions.get(regionId)) || {},
+    ...styleReferences(element).map(id => layout.styles.get(id) || {}),
+    readStyleAttributes(element));
+}
+
+/**
+ * IDs in an element's style attribute ("s1 s2")
+ * @private
+ */
+function styleReferences(element) {
+  return (element.getAttribute('style') || '').trim().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * tts: attributes of an element (see STYLE_ATTRIBUTES) → {fontStyle: 'italic', ...}
+ * @private
+ */
+function readStyleAttributes(element) {
+  const style = {};
+  for (const name of STYLE_ATTRIBUTES) {
+    const value = element.getAttribute('tts:' + name);
+    if (value) style[name] = value.trim();
+  }
+  return style;
+}
+
+/**
+ * Where a paragraph is shown: 'top' or 'bottom' half of the picture, from its
+ * region's origin, extent and displayAlign; null without a region
+ * @private
+ */
+function placementOf(style, layout) {
+  if (!style.origin && !style.displayAlign) return null;
+
+  const verticalLength = (value, fallback) => {
+    const length = (value || '').trim().split(/\s+/)[1];
+    return length && length !== 'auto' ? length : fallback;
+  };
+  const top = toPercentOfHeight(verticalLength(style.origin, '0%'), layout);
+  const height = toPercentOfHeight(verticalLength(style.extent, '100%'), layout);
+  if (!Number.isFinite(top) || !Number.isFinite(height)) return null;
 
-  // WARNING: Unexpected time format detected
-  console.warn('[LinguaFlix] WARNING: Unexpected TTML time format detected: "' + timeStr + '" (expected tick format like "513429584t")');
-  return 0;
+  // Lines sit at the region's top edge unless displayAlign says otherwise (TTML default: before)
+  const anchor = { center: top + height / 2, after: top + height }[style.displayAlign] ?? top;
+  return anchor < 50 ? 'top' : 'bottom';
 }
 
 /**
- * Extract text from TTML <p>, preserving <br/> as \n
+ * TTML vertical length ("80%", "576px", "13c") → % of the picture height (NaN if unknown)
  * @private
  */
-function extractCueText(node) {
+function toPercentOfHeight(length, layout) {
+  const match = /^(-?\d+(?:\.\d+)?)(%|px|c)$/.exec(length);
+  if (!match) return NaN;
+  const value = Number(match[1]);
+  if (match[2] === '%') return value;
+  if (match[2] === 'c') return value / layout.cellRows * 100;
+  return layout.extent ? value / layout.extent.height * 100 : NaN;
+}
+
+/**
+ * Formatting flags of a text segment from its computed style
+ * A direction is kept only where a span embeds or overrides one differing from its paragraph's
+ * @param {Object} paragraphStyle - Computed style of the <p>
+ * @returns {{italic?: true, bold?: true, underline?: true, color?: string, direction?: string, bidiOverride?: true}}
+ * @private
+ */
+function segmentFormat(style, paragraphStyle) {
+  const format = {};
+  if (style.fontStyle === 'italic' || style.fontStyle === 'oblique') format.italic = true;
+  if (style.fontWeight === 'bold') format.bold = true;
+  if (/(^|\s)underline(\s|$)/.test(style.textDecoration || '')) format.underline = true;
+  const color = toCssColor(style.color);
+  if (color && !DEFAULT_TEXT_COLORS.includes(color)) format.color = color;
+  if (DIRECTIONS.includes(style.direction) && (style.unicodeBidi === 'embed' || style.unicodeBidi === 'bidiOverride') &&
+      (style.direction !== paragraphStyle.direction || style.unicodeBidi !== paragraphStyle.unicodeBidi)) {
+    format.direction = style.direction;
+    if (style.unicodeBidi === 'bidiOverride') format.bidiOverride = true;
+  }
+  return format;
+}
+
+/**
+ * TTML color → CSS color, or null if it is not a color
+ * ("#rrggbb[aa]", named colors, "rgb(r,g,b)"; TTML "rgba(r,g,b,a)" has a 0–255 alpha)
+ * @private
+ */
+function toCssColor(value) {
+  const color = (value || '').trim().toLowerCase();
+  if (/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(color) || /^[a-z]+$/.test(color)) return color;
+
+  const match = /^(rgba?)\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*(?:,\s*(\d{1,3})\s*)?\)$/.exec(color);
+  if (!match || (match[1] === 'rgba') !== (match[5] !== undefined)) return null;
+  const [r, g, b, a] = match.slice(2).map(Number);
+  if ([r, g, b].some(channel => channel > 255)) return null;
+  return match[1] === 'rgb'
+    ? `rgb(${r}, ${g}, ${b})`
+    : `rgba(${r}, ${g}, ${b}, ${Math.round(Math.min(a, 255) / 255 * 100) / 100})`;
+}
+
+/**
+ * Extract the text of a TTML <p> as formatted segments, preserving <br/> as \n
+ * Adjacent text with the same formatting forms one segment; the whole is trimmed
+ * A ruby container (tts:ruby="container") becomes one segment: its base text with
+ * the ruby text as `ruby` (delimiters, the fallback parentheses, are dropped)
+ * @param {Object} style - Computed style of the <p> (see computeStyle)
+ * @param {Function} [isShown] - (element) => boolean; elements failing it are left out
+ *   with their content (timed spans not active at the cue time)
+ * @param {boolean} [collapseSpaces] - Reduce runs of spaces to one
+ * @returns {Array<{text: string, italic?: true, bold?: true, underline?: true, color?: string, ruby?: string}>}
+ * @private
+ */
+function extractCueSegments(node, style, layout, isShown = () => true, collapseSpaces = false) {
   try {
-    if (!node) return '';
+    if (!node) return [];
+
+    const segments = [];
+    const append = (text, nodeStyle) => {
+      const format = segmentFormat(nodeStyle, style);
+      const last = segments[segments.length - 1];
+      if (last && !last.ruby && sameFormat(last, format)) {
+        last.text += text;
+      } else {
+        segments.push({ text, ...format });
+      }
+    };
 
-    // Walk the XML DOM to preserve <br/> as newlines and gather text nodes
-    const parts = [];
-    (function walk(n) {
+    // Walk the XML DOM to preserve <br/> as newlines and gather text nodes with their style
+    // (`add` receives the text; inside a ruby container it sorts base from ruby text)
+    (function walk(n, nodeStyle, add) {
       const ELEMENT_NODE = 1;
       const TEXT_NODE = 3;
 
       if (!n) return;
       if (n.nodeType === TEXT_NODE) {
-        parts.push(n.nodeValue || '');
+        add(n.nodeValue || '', nodeStyle);
         return;
       }
       if (n.nodeType === ELEMENT_NODE) {
+        if (n !== node && !isShown(n)) return;
+        const elementStyle = n === node ? nodeStyle : computeStyle(n, nodeStyle, layout);
         const tag = (n.tagName || '').toLowerCase();
+
+        if (n !== node && elementStyle.ruby === 'container' && nodeStyle.ruby !== 'container') {
+          const base = [];
+          const annotation = [];
+          for (const child of n.childNodes || []) {
+            walk(child, elementStyle, (text, textStyle) => {
+              if (textStyle.ruby === 'text' || textStyle.ruby === 'textContainer') annotation.push(text);
+              else if (textStyle.ruby !== 'delimiter') base.push(text);
+            });
+          }
+          const baseText = base.join('').trim();
+          const rubyText = annotation.join('').trim();
+          if (baseText && rubyText) {
+            segments.push({ text: baseText, ...segmentFormat(elementStyle, style), ruby: rubyText });
+          } else if (baseText) {
+            add(baseText, elementStyle);
+          }
+          return;
+        }
+
         if (tag === 'br') {
-          parts.push('\n');
+          add('\n', elementStyle);
         }
         const children = n.childNodes || [];
         for (const child of children) {
-          walk(child);
+          walk(child, elementStyle, add);
         }
       }
-    })(node);
+    })(node, style, append);
 
-    // Join parts and trim whitespace
-    const text = parts.join('').trim();
-    return text;
+    return trimSegments(segments, collapseSpaces);
   } catch (err) {
     console.error('[LinguaFlix] Error extracting cue text:', err);
-    return '';
+    return [];
+  }
+}
+
+/**
+ * True if a segment has exactly the given formatting
+ * @private
+ */
+function sameFormat(segment, format) {
+  const keys = Object.keys(format);
+  return Object.keys(segment).length === keys.length + 1 && keys.every(key => segment[key] === format[key]);
+}
+
+/**
+ * Trim whitespace at both ends of the joined segments (and collapse space runs,
+ * also across segments), dropping segments left empty
+ * @private
+ */
+function trimSegments(segments, collapseSpaces) {
+  let result = segments;
+  if (collapseSpaces) {
+    result = [];
+    for (const segment of segments) {
+      let text = segment.text.replace(/ {2,}/g, ' ');
+      if (result[result.length - 1]?.text.endsWith(' ')) text = text.replace(/^ /, '');
+      result.push({ ...segment, text });
+    }
   }
+
+  result = result.filter(segment => segment.text);
+  while (result.length && !result[0].text.trim()) result.shift();
+  while (result.length && !result[result.length - 1].text.trim()) result.pop();
+  if (!result.length) return [];
+
+  result[0] = { ...result[0], text: result[0].text.trimStart() };
+  result[result.length - 1] = { ...result[result.length - 1], text: result[result.length - 1].text.trimEnd() };
+  return result;
 }
 
 // ============================================================================
 // EXPORTS
 // ============================================================================
 
-export { parseTTML, findCueAt };
+export {
+  parseTTML,
+  findCueAt,
+  findCuesAt,
+  getCueContext,
+  findPreviousCue,
+  findNextCue,
+  linkSentences,
+  getSentenceFor,
+  getCueDensity,
+  getDensityProfile,
+  toSRT,
+  toWebVTT,
+  toPlainText,
+  alignCues,
+  mergeBilingualCues,
+  parseSRT,
+  parseWebVTT
+};
 
 console.log('[LinguaFlix] subtitle-parser.js loaded');
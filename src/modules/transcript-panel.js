@@ -0,0 +1,473 @@
+/**
+ * transcript-panel.js
+ *
+ * Collapsible side panel over the right edge of the player listing every line
+ * of the title in the playing language and the overlay language
+ * The current line is highlighted and kept in view, a click seeks to a line,
+ * and the search box steps through matches
+ * The panel floats over the video (the player keeps its size) and follows
+ * fullscreen transitions like the overlay does
+ *
+ * Dependencies: PlaybackClock (addCueChangeListener), SubtitleParser (findCueAt), Settings (getMessage)
+ *
+ * Public API:
+ * - setupTranscriptPanel(options) → void
+ * - togglePanel() → void
+ * - isOpen() → boolean
+ * - cleanup() → void
+ */
+
+import { addCueChangeListener } from './playback-clock.js';
+import { findCueAt } from './subtitle-parser.js';
+import { getMessage } from './settings.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const PANEL_ID = 'linguaflix-transcript';
+const FULLSCREEN_Z_INDEX = '2147483647';
+const NORMAL_Z_INDEX = '10000';
+const PANEL_WIDTH_PX = 340;
+const HANDLE_WIDTH_PX = 28;
+const USER_SCROLL_GRACE_MS = 4000;   // Auto-scroll waits this long after the viewer scrolls the list
+const CURRENT_ROW_BACKGROUND = 'rgba(76, 175, 80, 0.28)';
+const MATCH_ROW_BACKGROUND = 'rgba(255, 255, 255, 0.08)';
+const CURRENT_MATCH_OUTLINE = '1px solid rgba(255, 214, 0, 0.9)';
+
+// ============================================================================
+// MODULE STATE (private)
+// ============================================================================
+
+let config = null;          // { getTranscript, getCurrentTime, onSeek }
+let panelElement = null;
+let listElement = null;
+let searchInput = null;
+let matchCountElement = null;
+let open = false;
+let renderedRows = null;    // Rows array currently rendered (identity check)
+let rowElements = [];
+let currentRowIndex = -1;
+let matches = [];           // Indexes of rows matching the search
+let matchIndex = -1;
+let lastUserScroll = 0;
+let stopTracking = null;
+let fullscreenHandler = null;
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Inject the (collapsed) panel
+ * Calling it again replaces the previous panel
+ * Needs the playback clock running (PlaybackClock.setupPlaybackClock) to follow playback
+ * @param {Object} options
+ * @param {Function} options.getTranscript - () => {rows, sourceLanguage, overlayLanguage}
+ *   rows: Array<{start, end, source: string, overlay: string}> sorted by start; the same
+ *   array is returned until the cached tracks change (a new array re-renders the list)
+ * @param {Function} options.getCurrentTime - () => playback position in ms
+ * @param {Function} options.onSeek - (timeMs) => void, called when a line is clicked
+ */
+function setupTranscriptPanel({ getTranscript, getCurrentTime, onSeek }) {
+  console.debug('[LinguaFlix] setupTranscriptPanel() called');
+
+  if (panelElement) cleanup();
+
+  config = { getTranscript, getCurrentTime, onSeek };
+  panelElement = createPanel();
+  (document.fullscreenElement || document.body).appendChild(panelElement);
+
+  fullscreenHandler = () => {
+    if (!panelElement) return;
+    const targetParent = document.fullscreenElement || document.body;
+    if (panelElement.parentNode !== targetParent) targetParent.appendChild(panelElement);
+    panelElement.style.zIndex = document.fullscreenElement ? FULLSCREEN_Z_INDEX : NORMAL_Z_INDEX;
+  };
+  document.addEventListener('fullscreenchange', fullscreenHandler);
+  fullscreenHandler();
+
+  console.log('[LinguaFlix] Transcript panel injected');
+}
+
+/**
+ * Open or collapse the panel
+ * While open, the list follows playback; it is rebuilt when the cached tracks change
+ */
+function togglePanel() {
+  if (!panelElement) return;
+
+  open = !open;
+  panelElement.style.transform = open ? 'translateX(0)' : 'translateX(100%)';
+
+  if (open) {
+    refreshRows();
+    stopTracking = addCueChangeListener(findCurrentRow, (row) => {
+      refreshRows();
+      highlightRow(row ? renderedRows.indexOf(row) : -1);
+    });
+  } else {
+    stopTracking?.();
+    stopTracking = null;
+    searchInput.blur();
+  }
+}
+
+/**
+ * Whether the panel is open
+ * @returns {boolean}
+ */
+function isOpen() {
+  return open;
+}
+
+/**
+ * Cleanup: removes the panel and detaches listeners
+ */
+function cleanup() {
+  console.debug('[LinguaFlix] TranscriptPanel cleanup() called');
+
+  stopTracking?.();
+  if (fullscreenHandler) document.removeEventListener('fullscreenchange', fullscreenHandler);
+  panelElement?.remove();
+
+  config = null;
+  panelElement = null;
+  listElement = null;
+  searchInput = null;
+  matchCountElement = null;
+  open = false;
+  renderedRows = null;
+  rowElements = [];
+  currentRowIndex = -1;
+  matches = [];
+  matchIndex = -1;
+  lastUserScroll = 0;
+  stopTracking = null;
+  fullscreenHandler = null;
+}
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Build the panel: edge handle, header with search, and the line list
+ * @private
+ */
+function createPanel() {
+  const panel = document.createElement('div');
+  panel.id = PANEL_ID;
+  panel.style.cssText = [
+    'position: fixed',
+    'top: 0',
+    'right: 0',
+    'bottom: 0',
+    'width: ' + PANEL_WIDTH_PX + 'px',
+    'max-width: 80vw',
+    'display: flex',
+    'flex-direction: column',
+    'background: rgba(20, 20, 20, 0.94)',
+    'color: #fff',
+    'border-left: 1px solid rgba(255, 255, 255, 0.15)',
+    "font-family: 'Helvetica Neue', Arial, sans-serif",
+    'font-size: 14px',
+    'line-height: 1.4',
+    'text-align: left',
+    'pointer-events: auto',
+    'transform: translateX(100%)',
+    'transition: transform 0.2s'
+  ].join('; ');
+
+  // Keep clicks and keys inside the panel from reaching Netflix (play/pause, fullscreen, seek)
+  for (const type of ['pointerdown', 'click', 'dblclick', 'keydown', 'keyup']) {
+    panel.addEventListener(type, event => event.stopPropagation());
+  }
+
+  const handle = document.createElement('button');
+  handle.type = 'button';
+  handle.textContent = '☰';
+  handle.title = getMessage('transcriptToggle', 'Show or hide the transcript');
+  handle.style.cssText = [
+    'position: absolute',
+    'top: 50%',
+    'left: -' + HANDLE_WIDTH_PX + 'px',
+    'width: ' + HANDLE_WIDTH_PX + 'px',
+    'height: 56px',
+    'transform: translateY(-50%)',
+    'border: 1px solid rgba(255, 255, 255, 0.15)',
+    'border-right: none',
+    'border-radius: 6px 0 0 6px',
+    'background: rgba(20, 20, 20, 0.8)',
+    'color: #fff',
+    'font-size: 16px',
+    'cursor: pointer',
+    'opacity: 0.6'
+  ].join('; ');
+  handle.addEventListener('mouseenter', () => { handle.style.opacity = '1'; });
+  handle.addEventListener('mouseleave', () => { handle.style.opacity = '0.6'; });
+  handle.addEventListener('click', togglePanel);
+  panel.appendChild(handle);
+
+  const header = document.createElement('div');
+  header.style.cssText = 'padding: 12px 14px; border-bottom: 1px solid rgba(255, 255, 255, 0.15)';
+
+  const title = document.createElement('div');
+  title.textContent = getMessage('transcriptTitle', 'Transcript');
+  title.style.cssText = 'font-size: 16px; font-weight: bold; margin-bottom: 8px';
+  header.appendChild(title);
+
+  const searchRow = document.createElement('div');
+  searchRow.style.cssText = 'display: flex; align-items: center; gap: 6px';
+
+  searchInput = document.createElement('input');
+  searchInput.type = 'search';
+  searchInput.placeholder = getMessage('transcriptSearch', 'Search…');
+  searchInput.style.cssText = [
+    'flex: 1',
+    'min-width: 0',
+    'padding: 6px 8px',
+    'border: 1px solid rgba(255, 255, 255, 0.25)',
+    'border-radius: 4px',
+    'background: rgba(0, 0, 0, 0.5)',
+    'color: #fff',
+    'font-size: 13px'
+  ].join('; ');
+  searchInput.addEventListener('input', () => runSearch(searchInput.value));
+  searchInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      stepMatch(event.shiftKey ? -1 : 1);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      searchInput.blur(); // Netflix exits fullscreen on Escape: the panel stops it above
+    }
+  });
+  searchRow.appendChild(searchInput);
+
+  matchCountElement = document.createElement('span');
+  matchCountElement.style.cssText = 'font-size: 12px; opacity: 0.7; white-space: nowrap';
+  searchRow.appendChild(matchCountElement);
+
+  searchRow.appendChild(createSearchButton('▲', getMessage('transcriptPrevious', 'Previous match'), () => stepMatch(-1)));
+  searchRow.appendChild(createSearchButton('▼', getMessage('transcriptNext', 'Next match'), () => stepMatch(1)));
+  header.appendChild(searchRow);
+  panel.appendChild(header);
+
+  listElement = document.createElement('div');
+  listElement.style.cssText = 'flex: 1; overflow-y: auto; padding: 6px 0; overscroll-behavior: contain';
+  for (const type of ['wheel', 'touchmove']) {
+    listElement.addEventListener(type, () => { lastUserScroll = Date.now(); }, { passive: true });
+  }
+  listElement.addEventListener('click', (event) => {
+    const rowElement = event.target.closest('[data-row]');
+    if (!rowElement || window.getSelection()?.toString()) return;
+    const row = renderedRows?.[Number(rowElement.dataset.row)];
+    if (row) config.onSeek(row.start);
+  });
+  panel.appendChild(listElement);
+
+  return panel;
+}
+
+/**
+ * Small search navigation button
+ * @private
+ */
+function createSearchButton(label, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.title = title;
+  button.style.cssText = [
+    'padding: 4px 8px',
+    'border: 1px solid rgba(255, 255, 255, 0.25)',
+    'border-radius: 4px',
+    'background: rgba(255, 255, 255, 0.1)',
+    'color: #fff',
+    'font-size: 11px',
+    'cursor: pointer'
+  ].join('; ');
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Row at a playback time (cue-change listener lookup)
+ * @private
+ */
+function findCurrentRow(timeMs) {
+  return findCueAt(timeMs, config?.getTranscript().rows);
+}
+
+/**
+ * Re-render the list when the cached tracks changed since the last render
+ * @private
+ */
+function refreshRows() {
+  const { rows, sourceLanguage, overlayLanguage } = config.getTranscript();
+  if (rows === renderedRows) return;
+
+  renderedRows = rows;
+  currentRowIndex = -1;
+  listElement.textContent = '';
+  rowElements = rows.map((row, index) => {
+    const rowElement = document.createElement('div');
+    rowElement.dataset.row = String(index);
+    rowElement.style.cssText = 'padding: 6px 14px; cursor: pointer; border-radius: 4px; margin: 0 4px';
+
+    const time = document.createElement('div');
+    time.textContent = formatTime(row.start);
+    time.style.cssText = 'font-size: 11px; opacity: 0.5; font-variant-numeric: tabular-nums';
+    rowElement.appendChild(time);
+
+    if (row.source) rowElement.appendChild(createText(row.source, sourceLanguage, '1'));
+    if (row.overlay) rowElement.appendChild(createText(row.overlay, overlayLanguage, row.source ? '0.7' : '1'));
+
+    listElement.appendChild(rowElement);
+    return rowElement;
+  });
+
+  if (!rows.length) {
+    const empty = document.createElement('div');
+    empty.textContent = getMessage('transcriptEmpty', 'Subtitles are still loading…');
+    empty.style.cssText = 'padding: 12px 14px; opacity: 0.6';
+    listElement.appendChild(empty);
+  }
+
+  runSearch(searchInput.value);
+  highlightRow(rows.indexOf(findCueAt(config.getCurrentTime(), rows)));
+}
+
+/**
+ * Text line of a row in one language
+ * @private
+ */
+function createText(text, language, opacity) {
+  const line = document.createElement('div');
+  line.textContent = text;
+  line.lang = language || '';
+  line.dir = 'auto'; // Per line, so right-to-left lines read correctly next to left-to-right ones
+  line.style.cssText = 'white-space: pre-line; user-select: text; opacity: ' + opacity;
+  return line;
+}
+
+/**
+ * Highlight the playing row and scroll it into view (unless the viewer is scrolling)
+ * @private
+ */
+function highlightRow(index) {
+  if (index === currentRowIndex) return;
+
+  if (rowElements[currentRowIndex]) rowElements[currentRowIndex].style.background = rowBackground(currentRowIndex);
+  currentRowIndex = index;
+
+  const rowElement = rowElements[index];
+  if (!rowElement) return;
+  rowElement.style.background = CURRENT_ROW_BACKGROUND;
+  if (Date.now() - lastUserScroll > USER_SCROLL_GRACE_MS) scrollToRow(rowElement);
+}
+
+/**
+ * Find rows containing the query (both languages, case-insensitive) and mark them
+ * @private
+ */
+function runSearch(query) {
+  const previousMatches = matches;
+  const needle = query.trim().toLocaleLowerCase();
+  matches = needle
+    ? (renderedRows || []).reduce((found, row, index) => {
+      if (`${row.source}\n${row.overlay}`.toLocaleLowerCase().includes(needle)) found.push(index);
+      return found;
+    }, [])
+    : [];
+  matchIndex = -1;
+
+  for (const index of new Set([...previousMatches, ...matches])) {
+    if (!rowElements[index]) continue;
+    rowElements[index].style.background = index === currentRowIndex ? CURRENT_ROW_BACKGROUND : rowBackground(index);
+    rowElements[index].style.outline = '';
+  }
+
+  // Start from the first match at or after the playing line
+  if (matches.length) stepMatch(1, Math.max(0, currentRowIndex));
+  else updateMatchCount(needle !== '');
+}
+
+/**
+ * Move to the next (1) or previous (-1) match, wrapping around
+ * @param {number} direction - 1 or -1
+ * @param {number} [fromRow] - Row to search from instead of the current match
+ * @private
+ */
+function stepMatch(direction, fromRow = null) {
+  if (!matches.length) return;
+
+  if (rowElements[matches[matchIndex]]) rowElements[matches[matchIndex]].style.outline = '';
+
+  if (fromRow !== null) {
+    const next = matches.findIndex(index => index >= fromRow);
+    matchIndex = next === -1 ? 0 : next;
+  } else {
+    matchIndex = (matchIndex + direction + matches.length) % matches.length;
+  }
+
+  const rowElement = rowElements[matches[matchIndex]];
+  if (rowElement) {
+    rowElement.style.outline = CURRENT_MATCH_OUTLINE;
+    lastUserScroll = Date.now(); // Keep the match in view instead of jumping back to the playing line
+    scrollToRow(rowElement);
+  }
+  updateMatchCount(true);
+}
+
+/**
+ * "3 / 12", or the no-match notice
+ * @private
+ */
+function updateMatchCount(searching) {
+  if (!searching) {
+    matchCountElement.textContent = '';
+  } else if (!matches.length) {
+    matchCountElement.textContent = getMessage('transcriptNoMatches', 'No matches');
+  } else {
+    matchCountElement.textContent = `${matchIndex + 1} / ${matches.length}`;
+  }
+}
+
+/**
+ * Resting background of a row (search matches are tinted)
+ * @private
+ */
+function rowBackground(index) {
+  return matches.includes(index) ? MATCH_ROW_BACKGROUND : '';
+}
+
+/**
+ * Center a row in the list without scrolling the page
+ * @private
+ */
+function scrollToRow(rowElement) {
+  listElement.scrollTop = rowElement.offsetTop - listElement.offsetTop -
+    (listElement.clientHeight - rowElement.offsetHeight) / 2;
+}
+
+/**
+ * m:ss (h:mm:ss past an hour)
+ * @private
+ */
+function formatTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { setupTranscriptPanel, togglePanel, isOpen, cleanup };
+
+console.log('[LinguaFlix] transcript-panel.js loaded');
@@ -0,0 +1,276 @@
+/**
+ * word-popup.js
+ *
+ * Popup shown when a word in the interactive overlay is clicked:
+ * the word, copy buttons (word / whole line) and dictionary results
+ * Everything is rendered with textContent - dictionary data is never parsed as HTML
+ *
+ * Dependencies: Dictionary (lookupWord), Settings (getMessage)
+ *
+ * Public API:
+ * - showWordPopup({word, lineText, language, element}) → void
+ * - hideWordPopup() → void
+ * - cleanup() → void
+ */
+
+import { lookupWord } from './dictionary.js';
+import { getMessage } from './settings.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const POPUP_ID = 'linguaflix-word-popup';
+const FULLSCREEN_Z_INDEX = '2147483647';
+const NORMAL_Z_INDEX = '10001';          // Above the overlay
+const POPUP_GAP_PX = 8;                  // Distance between the word and the popup
+const COPIED_FEEDBACK_MS = 1200;
+const SELECTED_WORD_BACKGROUND = 'rgba(255, 255, 255, 0.25)';
+
+// ============================================================================
+// MODULE STATE (private)
+// ============================================================================
+
+let popupElement = null;
+let anchorElement = null;   // Word span the popup belongs to (highlighted while open)
+let lookupToken = 0;        // Ignores results of lookups superseded by a newer click
+let closeListenersAttached = false;
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Open the popup for a clicked word (replaces any open popup)
+ * @param {Object} info
+ * @param {string} info.word - Clicked word
+ * @param {string} info.lineText - Full text of the line the word belongs to
+ * @param {string} info.language - BCP-47 code of the line
+ * @param {HTMLElement} info.element - Word element (popup is placed next to it)
+ */
+function showWordPopup({ word, lineText, language, element }) {
+  try {
+    hideWordPopup();
+    attachCloseListeners();
+
+    anchorElement = element || null;
+    if (anchorElement) anchorElement.style.background = SELECTED_WORD_BACKGROUND;
+
+    const popup = document.createElement('div');
+    popup.id = POPUP_ID;
+    popup.lang = language || '';
+    popup.style.cssText = [
+      'position: fixed',
+      'z-index: ' + (document.fullscreenElement ? FULLSCREEN_Z_INDEX : NORMAL_Z_INDEX),
+      'min-width: 220px',
+      'max-width: 360px',
+      'max-height: 50vh',
+      'overflow-y: auto',
+      'padding: 12px 14px',
+      'background: rgba(20, 20, 20, 0.96)',
+      'color: #fff',
+      'border: 1px solid rgba(255, 255, 255, 0.25)',
+      'border-radius: 8px',
+      'box-shadow: 0 6px 24px rgba(0, 0, 0, 0.5)',
+      "font-family: 'Helvetica Neue', Arial, sans-serif",
+      'font-size: 14px',
+      'line-height: 1.4',
+      'text-align: left',
+      'pointer-events: auto',
+      'user-select: text',
+      'cursor: auto'
+    ].join('; ');
+
+    // Keep clicks inside the popup from reaching Netflix (play/pause) and the close listener
+    for (const type of ['pointerdown', 'click', 'dblclick']) {
+      popup.addEventListener(type, event => event.stopPropagation());
+    }
+
+    const headword = document.createElement('div');
+    headword.textContent = word;
+    headword.style.cssText = 'font-size: 20px; font-weight: bold; margin-bottom: 8px';
+    popup.appendChild(headword);
+
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; gap: 6px; margin-bottom: 10px';
+    actions.appendChild(createCopyButton(getMessage('wordPopupCopyWord', 'Copy word'), word));
+    actions.appendChild(createCopyButton(getMessage('wordPopupCopyLine', 'Copy line'), lineText));
+    popup.appendChild(actions);
+
+    const results = document.createElement('div');
+    results.className = 'linguaflix-word-results';
+    results.textContent = getMessage('wordPopupLookingUp', 'Looking up…');
+    results.style.opacity = '0.7';
+    popup.appendChild(results);
+
+    (document.fullscreenElement || document.body).appendChild(popup);
+    popupElement = popup;
+    positionPopup(popup, element);
+
+    const token = ++lookupToken;
+    lookupWord(word, language)
+      .then((entries) => {
+        if (token === lookupToken) renderResults(results, entries);
+      })
+      .catch((err) => {
+        console.error('[LinguaFlix] Word lookup failed:', err);
+        if (token === lookupToken) results.textContent = getMessage('wordPopupLookupFailed', 'Lookup failed');
+      });
+  } catch (err) {
+    console.error('[LinguaFlix] Error showing word popup:', err);
+  }
+}
+
+/**
+ * Close the popup (no-op when closed)
+ */
+function hideWordPopup() {
+  lookupToken++;
+  if (anchorElement) anchorElement.style.background = '';
+  anchorElement = null;
+  popupElement?.remove();
+  popupElement = null;
+}
+
+/**
+ * Cleanup: closes the popup and detaches listeners
+ */
+function cleanup() {
+  hideWordPopup();
+  if (closeListenersAttached) {
+    document.removeEventListener('keydown', handleKeyDown, true);
+    document.removeEventListener('pointerdown', handleOutsidePointer, true);
+    document.removeEventListener('fullscreenchange', hideWordPopup);
+    closeListenersAttached = false;
+  }
+}
+
+// ============================================================================
+// PRIVATE HELPERS
+// ============================================================================
+
+/**
+ * Close on Escape, click outside and fullscreen toggle
+ * @private
+ */
+function attachCloseListeners() {
+  if (closeListenersAttached) return;
+  document.addEventListener('keydown', handleKeyDown, true);
+  document.addEventListener('pointerdown', handleOutsidePointer, true);
+  document.addEventListener('fullscreenchange', hideWordPopup);
+  closeListenersAttached = true;
+}
+
+/**
+ * @private
+ */
+function handleKeyDown(event) {
+  if (event.key === 'Escape' && popupElement) {
+    event.stopPropagation(); // Netflix exits fullscreen on Escape
+    hideWordPopup();
+  }
+}
+
+/**
+ * @private
+ */
+function handleOutsidePointer(event) {
+  if (!popupElement) return;
+  // Clicking another word opens a new popup via the overlay click handler
+  if (popupElement.contains(event.target) || event.target.closest?.('.linguaflix-word')) return;
+  hideWordPopup();
+}
+
+/**
+ * Place the popup above the word, or below it when there is no room above
+ * @private
+ */
+function positionPopup(popup, element) {
+  const anchor = element?.getBoundingClientRect();
+  const rect = popup.getBoundingClientRect();
+  if (!anchor) {
+    popup.style.left = Math.max(0, (window.innerWidth - rect.width) / 2) + 'px';
+    popup.style.top = Math.max(0, (window.innerHeight - rect.height) / 2) + 'px';
+    return;
+  }
+
+  const left = Math.min(Math.max(anchor.left + anchor.width / 2 - rect.width / 2, POPUP_GAP_PX),
+    window.innerWidth - rect.width - POPUP_GAP_PX);
+  const above = anchor.top - rect.height - POPUP_GAP_PX;
+  const top = above >= 0 ? above : Math.min(anchor.bottom + POPUP_GAP_PX, window.innerHeight - rect.height);
+
+  popup.style.left = Math.max(0, left) + 'px';
+  popup.style.top = Math.max(0, top) + 'px';
+}
+
+/**
+ * Button copying text to the clipboard, briefly showing "Copied"
+ * @private
+ */
+function createCopyButton(label, text) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.style.cssText = [
+    'padding: 4px 10px',
+    'background: rgba(255, 255, 255, 0.12)',
+    'color: inherit',
+    'border: 1px solid rgba(255, 255, 255, 0.3)',
+    'border-radius: 4px',
+    'font: inherit',
+    'font-size: 12px',
+    'cursor: pointer'
+  ].join('; ');
+
+  button.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      button.textContent = getMessage('wordPopupCopied', 'Copied');
+      setTimeout(() => { button.textContent = label; }, COPIED_FEEDBACK_MS);
+    } catch (err) {
+      console.error('[LinguaFlix] Clipboard write failed:', err);
+    }
+  });
+  return button;
+}
+
+/**
+ * Render dictionary entries (grouped per dictionary) into the results element
+ * @private
+ */
+function renderResults(container, entries) {
+  container.textContent = '';
+  container.style.opacity = '';
+
+  if (!entries.length) {
+    container.textContent = getMessage('wordPopupNoResults', 'No dictionary entry found');
+    container.style.opacity = '0.7';
+    return;
+  }
+
+  for (const entry of entries) {
+    const section = document.createElement('div');
+    section.style.cssText = 'margin-top: 8px';
+
+    const source = document.createElement('div');
+    source.textContent = entry.dictionary;
+    source.style.cssText = 'font-size: 11px; text-transform: uppercase; letter-spacing: 0.5px; opacity: 0.6';
+    section.appendChild(source);
+
+    for (const definition of entry.definitions) {
+      const item = document.createElement('div');
+      item.textContent = definition;
+      item.style.cssText = 'margin-top: 4px; white-space: pre-line';
+      section.appendChild(item);
+    }
+    container.appendChild(section);
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export { showWordPopup, hideWordPopup, cleanup };
+
+console.log('[LinguaFlix] word-popup.js loaded');
@@ -0,0 +1,259 @@
+/**
+ * notebook.js
+ *
+ * Vocabulary notebook page logic
+ * Lists lines saved from the Netflix overlay; search, filter by tag,
+ * edit, delete and export to Anki (TSV) or CSV
+ */
+
+import { listEntries, updateEntry, deleteEntry, normalizeTags } from './lib/notebook-store.js';
+import { toAnkiTsv, toCsv, formatTimestamp, getWatchUrl } from './lib/notebook-export.js';
+
+const DELETE_CONFIRM_MS = 3000;
+
+let allEntries = [];
+
+// Load entries when page opens
+document.addEventListener('DOMContentLoaded', async () => {
+  document.getElementById('searchInput').addEventListener('input', render);
+  document.getElementById('tagFilter').addEventListener('change', render);
+  await refresh();
+});
+
+// Lines saved on Netflix while this page was open
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible' && !document.querySelector('.entry-edit:not([hidden])')) refresh();
+});
+
+// Export button click handlers (the filtered list is exported)
+document.getElementById('exportAnkiBtn').addEventListener('click', () => {
+  downloadFile(toAnkiTsv(getVisibleEntries()), 'txt', 'text/tab-separated-values');
+});
+
+document.getElementById('exportCsvBtn').addEventListener('click', () => {
+  downloadFile(toCsv(getVisibleEntries()), 'csv', 'text/csv');
+});
+
+/**
+ * Reload entries from IndexedDB and re-render
+ * @returns {Promise<void>}
+ */
+async function refresh() {
+  try {
+    allEntries = await listEntries();
+    updateTagFilter();
+    render();
+  } catch (err) {
+    console.error('[LinguaFlix Notebook] Error loading entries:', err);
+    showStatus(chrome.i18n.getMessage('errorLoadingNotebook') || 'Error loading notebook', 'error');
+  }
+}
+
+/**
+ * Entries matching the search text and tag filter
+ * @returns {Array<Object>}
+ */
+function getVisibleEntries() {
+  const query = document.getElementById('searchInput').value.trim().toLocaleLowerCase();
+  const tag = document.getElementById('tagFilter').value;
+
+  return allEntries.filter((entry) => {
+    if (tag && !entry.tags.includes(tag)) return false;
+    if (!query) return true;
+    return [entry.sourceText, entry.overlayText, entry.title, entry.note, entry.tags.join(' ')]
+      .some(text => text.toLocaleLowerCase().includes(query));
+  });
+}
+
+/**
+ * Rebuild the tag filter options, keeping the current choice if it still exists
+ */
+function updateTagFilter() {
+  const select = document.getElementById('tagFilter');
+  const current = select.value;
+  const tags = [...new Set(allEntries.flatMap(e => e.tags))].sort((a, b) => a.localeCompare(b));
+
+  select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+  for (const tag of tags) {
+    const option = document.createElement('option');
+    option.value = tag;
+    option.textContent = tag;
+    select.appendChild(option);
+  }
+  select.value = tags.includes(current) ? current : '';
+}
+
+/**
+ * Render the visible entries
+ */
+function render() {
+  const entries = getVisibleEntries();
+  const list = document.getElementById('entryList');
+  list.textContent = '';
+  entries.forEach(entry => list.appendChild(createEntryElement(entry)));
+
+  document.getElementById('emptyState').hidden = allEntries.length > 0;
+  document.getElementById('summary').textContent = allEntries.length
+    ? chrome.i18n.getMessage('notebookCount', [String(entries.length), String(allEntries.length)]) ||
+      `${entries.length} / ${allEntries.length}`
+    : '';
+  document.getElementById('exportAnkiBtn').disabled = !entries.length;
+  document.getElementById('exportCsvBtn').disabled = !entries.length;
+}
+
+/**
+ * Build the list item (view + edit form) for an entry
+ * @param {Object} entry - Notebook entry
+ * @returns {HTMLElement}
+ */
+function createEntryElement(entry) {
+  const item = document.getElementById('entryTemplate').content.firstElementChild.cloneNode(true);
+  translate(item);
+
+  const view = item.querySelector('.entry-view');
+  const form = item.querySelector('.entry-edit');
+
+  setText(view.querySelector('.entry-source'), entry.sourceText, entry.sourceLanguage);
+  setText(view.querySelector('.entry-overlay'), entry.overlayText, entry.overlayLanguage);
+  setText(view.querySelector('.entry-note'), entry.note);
+  setText(view.querySelector('.entry-title'), entry.title);
+  view.querySelector('.entry-date').textContent = new Date(entry.createdAt).toLocaleDateString();
+
+  const time = view.querySelector('.entry-time');
+  time.textContent = formatTimestamp(entry.timestamp);
+  const url = getWatchUrl(entry);
+  if (url) time.href = url;
+
+  const tags = view.querySelector('.entry-tags');
+  for (const tag of entry.tags) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'tag';
+    chip.textContent = tag;
+    chip.addEventListener('click', () => {
+      document.getElementById('tagFilter').value = tag;
+      render();
+    });
+    tags.appendChild(chip);
+  }
+
+  view.querySelector('[data-action="edit"]').addEventListener('click', () => {
+    form.elements.sourceText.value = entry.sourceText;
+    form.elements.overlayText.value = entry.overlayText;
+    form.elements.title.value = entry.title;
+    form.elements.tags.value = entry.tags.join(' ');
+    form.elements.note.value = entry.note;
+    view.hidden = true;
+    form.hidden = false;
+    form.elements.sourceText.focus();
+  });
+
+  // Two-step delete: the first click asks for confirmation on the button itself
+  const deleteButton = view.querySelector('[data-action="delete"]');
+  deleteButton.addEventListener('click', async () => {
+    if (!deleteButton.dataset.confirming) {
+      const label = deleteButton.textContent;
+      deleteButton.dataset.confirming = 'true';
+      deleteButton.textContent = chrome.i18n.getMessage('confirmDeleteEntry') || 'Click again to delete';
+      setTimeout(() => {
+        delete deleteButton.dataset.confirming;
+        deleteButton.textContent = label;
+      }, DELETE_CONFIRM_MS);
+      return;
+    }
+    try {
+      await deleteEntry(entry.id);
+      allEntries = allEntries.filter(e => e.id !== entry.id);
+      updateTagFilter();
+      render();
+    } catch (err) {
+      console.error('[LinguaFlix Notebook] Error deleting entry:', err);
+      showStatus(chrome.i18n.getMessage('errorSaving'), 'error');
+    }
+  });
+
+  form.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+    form.hidden = true;
+    view.hidden = false;
+  });
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    try {
+      const updated = await updateEntry(entry.id, {
+        sourceText: form.elements.sourceText.value.trim(),
+        overlayText: form.elements.overlayText.value.trim(),
+        title: form.elements.title.value.trim(),
+        tags: normalizeTags(form.elements.tags.value),
+        note: form.elements.note.value.trim()
+      });
+      allEntries = allEntries.map(e => (e.id === entry.id ? updated : e));
+      updateTagFilter();
+      render();
+      showStatus(chrome.i18n.getMessage('entrySaved') || 'Saved', 'success');
+    } catch (err) {
+      console.error('[LinguaFlix Notebook] Error saving entry:', err);
+      showStatus(chrome.i18n.getMessage('errorSaving'), 'error');
+    }
+  });
+
+  return item;
+}
+
+/**
+ * Set text (and lang) on an element, hiding it when empty
+ * @param {HTMLElement} el - Element
+ * @param {string} text - Text
+ * @param {string} language - Optional BCP-47 code
+ */
+function setText(el, text, language) {
+  el.textContent = text || '';
+  el.hidden = !text;
+  if (language) el.lang = language;
+}
+
+/**
+ * Apply data-i18n translations inside a cloned template
+ * (i18n.js only translates the document once, on load)
+ * @param {HTMLElement} root - Cloned element
+ */
+function translate(root) {
+  root.querySelectorAll('[data-i18n]').forEach((el) => {
+    const msg = chrome.i18n.getMessage(el.dataset.i18n);
+    if (msg) el.textContent = msg;
+  });
+}
+
+/**
+ * Download text as a file named linguaflix-notebook-YYYY-MM-DD.<extension>
+ * @param {string} content - File content
+ * @param {string} extension - File extension
+ * @param {string} mimeType - MIME type
+ */
+function downloadFile(content, extension, mimeType) {
+  const blob = new Blob([content], { type: mimeType + ';charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `linguaflix-notebook-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Show status message to user
+ * @param {string} message - Message to display
+ * @param {string} type - 'success' or 'error'
+ */
+function showStatus(message, type) {
+  const statusEl = document.getElementById('status');
+  if (!statusEl) return;
+
+  statusEl.textContent = message;
+  statusEl.className = `status ${type} show`;
+
+  // Hide after 3 seconds
+  setTimeout(() => {
+    statusEl.classList.remove('show');
+  }, 3000);
+}
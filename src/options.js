@@ -1,26 +1,62 @@
 /**
  * options.js
- * 
+ *
  * Full settings page logic
  * Handles loading and saving extension settings
+ *
+ * Every key of DEFAULT_SETTINGS maps to a form control with the same id:
+ * checkboxes use .checked, key-capture buttons use data-combo, the rest use .value
+ * (converted to a number when the default is a number)
+ * keyBindings maps to the #keyBindings editor: one key-capture button per action (data-binding)
+ * overlayFallbackLanguages maps to the #overlayFallbackLanguages list: one language select per row
+ * Language preferences ('pt-BR*' = any variant, preferably pt-BR; see modules/language-tags.js)
+ * pair a language select with a variant-match select (#overlayLanguageMatch for overlayLanguage)
+ * Language selects (.language-select) list the languages seen on Netflix and common ones
+ * (lib/language-list.js); #languageSearch filters all of them. Those marked data-optional
+ * (nativeLanguage, targetLanguage) also offer "not set" ('')
  */
 
-const DEFAULT_SETTINGS = {
-  overlayLanguage: 'pl',
-  preferClosedCaptions: false
-};
+import { DEFAULT_SETTINGS } from './modules/default-settings.js';
+import { comboFromEvent } from './modules/keyboard-shortcuts.js';
+import { getAppearance, buildOverlayStyle, buildLineStyle } from './modules/overlay-appearance.js';
+import { parseDictionaryFiles } from './lib/dictionary-import.js';
+import { listDictionaries, saveDictionary, deleteDictionary } from './lib/dictionary-store.js';
+import { getSeenLanguages, buildLanguageList, toLanguageTag, getLanguageLabel, matchesSearch } from './lib/language-list.js';
+
+// The preview player is much smaller than a real one: scale text down to keep proportions
+const PREVIEW_FONT_SCALE = 0.6;
+
+let languageList = []; // [{ tag, name, seen }] offered by every language select
+let activeCapture = null; // { button, onKeydown } key-capture button waiting for a key
 
 // Load settings when page opens
 document.addEventListener('DOMContentLoaded', async () => {
   try {
+    setupKeyCaptureButtons();
+    renderDictionaryList();
+    await setupLanguageSelects();
+
     const settings = await loadSettings();
 
     // Populate UI with current settings
-    const languageSelect = document.getElementById('overlayLanguage');
-    languageSelect.value = settings.overlayLanguage ?? DEFAULT_SETTINGS.overlayLanguage;
+    populateForm(settings);
+    updateDependentFields();
+    updatePreview();
 
-    const ccCheckbox = document.getElementById('preferClosedCaptions');
-    ccCheckbox.checked = settings.preferClosedCaptions ?? DEFAULT_SETTINGS.preferClosedCaptions;
+    document.querySelector('.settings-section').addEventListener('input', updatePreview);
+
+    document.getElementById('contextLines').addEventListener('change', updateDependentFields);
+    document.getElementById('autoPause').addEventListener('change', updateDependentFields);
+    document.getElementById('adaptiveSpeed').addEventListener('change', updateDependentFields);
+    document.getElementById('skipSilence').addEventListener('change', updateDependentFields);
+    document.getElementById('autoLanguageRoles').addEventListener('change', updateDependentFields);
+    document.getElementById('overlayLanguage').addEventListener('change', () => {
+      updateVariantMatch(document.getElementById('overlayLanguage'), document.getElementById('overlayLanguageMatch'));
+    });
+    document.getElementById('addFallbackLanguageBtn').addEventListener('click', () => {
+      addFallbackLanguageRow();
+      updateDependentFields();
+    });
 
     console.log('[LinguaFlix Settings] Settings loaded:', settings);
   } catch (err) {
@@ -32,23 +68,19 @@ document.addEventListener('DOMContentLoaded', async () => {
 // Save button click handler
 document.getElementById('saveBtn').addEventListener('click', async () => {
   try {
-    const languageSelect = document.getElementById('overlayLanguage');
-    const ccCheckbox = document.getElementById('preferClosedCaptions');
-    
-    const overlayLanguage = languageSelect.value;
-    const preferClosedCaptions = ccCheckbox.checked;
-    
+    const settings = readForm();
+
     // Validate
-    if (!overlayLanguage) {
+    if (!settings.overlayLanguage) {
       showStatus(chrome.i18n.getMessage('errorSelectLanguage'), 'error');
       return;
     }
-    
+
     // Save to chrome.storage.sync
-    await saveSettings({ overlayLanguage, preferClosedCaptions });
-    
+    await saveSettings(settings);
+
     showStatus(chrome.i18n.getMessage('settingsSaved'), 'success');
-    console.log('[LinguaFlix Settings] Settings saved:', { overlayLanguage, preferClosedCaptions });
+    console.log('[LinguaFlix Settings] Settings saved:', settings);
   } catch (err) {
     console.error('[LinguaFlix Settings] Error saving settings:', err);
     showStatus(chrome.i18n.getMessage('errorSaving'), 'error');
@@ -58,15 +90,13 @@ document.getElementById('saveBtn').addEventListener('click', async () => {
 // Reset button click handler
 document.getElementById('resetBtn').addEventListener('click', async () => {
   try {
-    const languageSelect = document.getElementById('overlayLanguage');
-    const ccCheckbox = document.getElementById('preferClosedCaptions');
-
     // Reset to default
     await saveSettings(DEFAULT_SETTINGS);
 
     // Update UI
-    languageSelect.value = DEFAULT_SETTINGS.overlayLanguage;
-    ccCheckbox.checked = DEFAULT_SETTINGS.preferClosedCaptions;
+    populateForm(DEFAULT_SETTINGS);
+    updateDependentFields();
+    updatePreview();
 
     showStatus(chrome.i18n.getMessage('resetDone'), 'success');
     console.log('[LinguaFlix Settings] Settings reset:', DEFAULT_SETTINGS);
@@ -76,6 +106,451 @@ document.getElementById('resetBtn').addEventListener('click', async () => {
   }
 });
 
+// Reset dragged positions button click handler
+document.getElementById('resetPositionsBtn').addEventListener('click', async () => {
+  try {
+    await chrome.storage.local.remove('overlayPositions');
+    showStatus(chrome.i18n.getMessage('positionsReset'), 'success');
+    console.log('[LinguaFlix Settings] Overlay positions reset');
+  } catch (err) {
+    console.error('[LinguaFlix Settings] Error resetting overlay positions:', err);
+    showStatus(chrome.i18n.getMessage('errorResetting'), 'error');
+  }
+});
+
+// Open notebook button click handler
+document.getElementById('openNotebookBtn').addEventListener('click', () => {
+  chrome.tabs.create({ url: 'notebook.html' });
+});
+
+// Import dictionary button click handler (dictionaries are stored right away, not on Save)
+document.getElementById('importDictionaryBtn').addEventListener('click', async () => {
+  const fileInput = document.getElementById('dictionaryFiles');
+  const button = document.getElementById('importDictionaryBtn');
+  if (!fileInput.files.length) {
+    showStatus(chrome.i18n.getMessage('errorNoDictionaryFiles'), 'error');
+    return;
+  }
+
+  button.disabled = true;
+  try {
+    const { name, format, entries } = await parseDictionaryFiles(fileInput.files);
+    const language = document.getElementById('dictionaryLanguage').value.trim();
+    const dictionary = await saveDictionary({ name, format, language }, entries);
+
+    fileInput.value = '';
+    await renderDictionaryList();
+    showStatus(chrome.i18n.getMessage('dictionaryImported', [dictionary.name, String(dictionary.entryCount)]), 'success');
+  } catch (err) {
+    console.error('[LinguaFlix Settings] Error importing dictionary:', err);
+    showStatus(chrome.i18n.getMessage('errorImportingDictionary') + ' ' + err.message, 'error');
+  } finally {
+    button.disabled = false;
+  }
+});
+
+/**
+ * Write settings into their form controls
+ * @param {Object} settings - Settings object
+ */
+function populateForm(settings) {
+  for (const [key, defaultValue] of Object.entries(DEFAULT_SETTINGS)) {
+    const el = document.getElementById(key);
+    if (!el) continue;
+
+    const value = settings[key] ?? defaultValue;
+    if (key === 'keyBindings') {
+      // Stored bindings may lack actions added later
+      const bindings = { ...defaultValue, ...value };
+      el.querySelectorAll('[data-binding]').forEach(button => setKeyCaptureValue(button, bindings[button.dataset.binding]));
+    } else if (key === 'overlayLanguage') {
+      setLanguagePreference(el, document.getElementById('overlayLanguageMatch'), value);
+    } else if (key === 'overlayFallbackLanguages') {
+      el.textContent = '';
+      (Array.isArray(value) ? value : []).forEach(addFallbackLanguageRow);
+    } else if (el.classList.contains('language-select')) {
+      if (value) addLanguage(value);
+      el.value = value;
+    } else if (el.type === 'checkbox') {
+      el.checked = value;
+    } else if (el.classList.contains('key-capture')) {
+      setKeyCaptureValue(el, value);
+    } else {
+      el.value = value;
+    }
+  }
+}
+
+/**
+ * Read settings from their form controls
+ * @returns {Object} Settings object
+ */
+function readForm() {
+  const settings = {};
+  for (const [key, defaultValue] of Object.entries(DEFAULT_SETTINGS)) {
+    const el = document.getElementById(key);
+    if (!el) {
+      settings[key] = defaultValue;
+    } else if (key === 'keyBindings') {
+      settings[key] = { ...defaultValue };
+      el.querySelectorAll('[data-binding]').forEach((button) => {
+        settings[key][button.dataset.binding] = button.dataset.combo;
+      });
+    } else if (key === 'overlayLanguage') {
+      settings[key] = readLanguagePreference(el, document.getElementById('overlayLanguageMatch'));
+    } else if (key === 'overlayFallbackLanguages') {
+      settings[key] = [...new Set([...el.querySelectorAll('li')].map(item =>
+        readLanguagePreference(item.querySelector('.language-select'), item.querySelector('.variant-match'))))];
+    } else if (el.type === 'checkbox') {
+      settings[key] = el.checked;
+    } else if (el.classList.contains('key-capture')) {
+      settings[key] = el.dataset.combo || defaultValue;
+    } else {
+      settings[key] = typeof defaultValue === 'number' ? Number(el.value) : el.value;
+    }
+  }
+  return settings;
+}
+
+/**
+ * Show or hide controls that only apply to certain values
+ */
+function updateDependentFields() {
+  const contextLines = Number(document.getElementById('contextLines').value);
+  document.getElementById('showTimestamps').disabled = contextLines === 0;
+
+  const autoPause = document.getElementById('autoPause').checked;
+  document.getElementById('autoPauseMinChars').disabled = !autoPause;
+  document.getElementById('autoPauseResumeDelay').disabled = !autoPause;
+
+  const adaptiveSpeed = document.getElementById('adaptiveSpeed').checked;
+  document.getElementById('adaptiveSpeedMaxCps').disabled = !adaptiveSpeed;
+  document.getElementById('adaptiveSpeedMinRate').disabled = !adaptiveSpeed;
+
+  document.getElementById('skipSilenceMinGap').disabled = !document.getElementById('skipSilence').checked;
+
+  // A second overlay language can only come from the fallback list
+  document.getElementById('showSecondOverlay').disabled =
+    !document.querySelector('#overlayFallbackLanguages li');
+
+  const autoLanguageRoles = document.getElementById('autoLanguageRoles').checked;
+  document.getElementById('nativeLanguage').disabled = !autoLanguageRoles;
+  document.getElementById('targetLanguage').disabled = !autoLanguageRoles;
+}
+
+/**
+ * Append a row to the fallback languages list: language and variant-match selects,
+ * move up and remove buttons
+ * @param {string} [preference] - Selected language preference (defaults to the first language not in use yet)
+ */
+function addFallbackLanguageRow(preference) {
+  const list = document.getElementById('overlayFallbackLanguages');
+  const item = document.createElement('li');
+  const select = document.createElement('select');
+  select.className = 'language-select';
+  fillLanguageSelect(select);
+  const match = document.getElementById('overlayLanguageMatch').cloneNode(true);
+  match.removeAttribute('id');
+  match.removeAttribute('style');
+  select.addEventListener('change', () => updateVariantMatch(select, match));
+
+  const inUse = [...document.querySelectorAll('.language-select')].map(el => el.value);
+  const value = preference || [...select.options].map(option => option.value).find(code => !inUse.includes(code));
+  if (value) setLanguagePreference(select, match, value);
+
+  const up = document.createElement('button');
+  up.type = 'button';
+  up.className = 'btn-inline';
+  up.textContent = '↑';
+  up.title = chrome.i18n.getMessage('moveLanguageUp') || 'Try earlier';
+  up.addEventListener('click', () => {
+    if (item.previousElementSibling) list.insertBefore(item, item.previousElementSibling);
+  });
+
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'btn-inline';
+  remove.textContent = '✕';
+  remove.title = chrome.i18n.getMessage('removeLanguage') || 'Remove';
+  remove.addEventListener('click', () => {
+    item.remove();
+    updateDependentFields();
+  });
+
+  item.append(select, match, up, remove);
+  list.appendChild(item);
+}
+
+/**
+ * Show a language preference in a language select and its variant-match select
+ * ('pt-BR*' → pt-BR, any variant; 'pt-BR' → pt-BR only)
+ * @param {HTMLSelectElement} select - Language select
+ * @param {HTMLSelectElement} matchSelect - Variant-match select ('any' | 'exact')
+ * @param {string} preference - Stored language preference
+ */
+function setLanguagePreference(select, matchSelect, preference) {
+  const anyVariant = preference.endsWith('*');
+  const tag = preference.replace(/\*$/, '');
+  // Keep stored languages the list doesn't offer
+  if (tag) addLanguage(tag);
+  if (![...select.options].some(option => option.value === tag)) fillLanguageSelect(select);
+  select.value = tag;
+  matchSelect.value = anyVariant || !tag.includes('-') ? 'any' : 'exact';
+  updateVariantMatch(select, matchSelect);
+}
+
+/**
+ * Build the language list (languages seen on Netflix, then common ones) and wire the search field
+ * @returns {Promise<void>}
+ */
+async function setupLanguageSelects() {
+  let seenLanguages = {};
+  try {
+    seenLanguages = await getSeenLanguages();
+  } catch (err) {
+    console.error('[LinguaFlix Settings] Error loading seen languages:', err);
+  }
+  languageList = buildLanguageList(seenLanguages, chrome.i18n.getUILanguage());
+  document.querySelectorAll('.language-select').forEach(fillLanguageSelect);
+  document.getElementById('languageSearch').addEventListener('input', filterLanguageSelects);
+}
+
+/**
+ * Replace the options of a language select with languageList, grouped by seen on Netflix or not
+ * @param {HTMLSelectElement} select - Language select (keeps its value)
+ */
+function fillLanguageSelect(select) {
+  const selected = select.value;
+  select.textContent = '';
+  if ('optional' in select.dataset) {
+    select.appendChild(new Option(chrome.i18n.getMessage('languageNotSet') || 'Not set', ''));
+  }
+
+  const groups = [
+    { seen: true, label: chrome.i18n.getMessage('languagesSeen') || 'Offered on Netflix' },
+    { seen: false, label: chrome.i18n.getMessage('languagesOther') || 'Other languages' }
+  ];
+  for (const { seen, label } of groups) {
+    const languages = languageList.filter(language => language.seen === seen);
+    if (!languages.length) continue;
+    const group = document.createElement('optgroup');
+    group.label = label;
+    languages.forEach(language => group.appendChild(new Option(language.name, language.tag)));
+    select.appendChild(group);
+  }
+  if (selected) select.value = selected;
+}
+
+/**
+ * Make a language choosable in every language select (stored or typed tags the list lacks)
+ * @param {string} tag - BCP-47 tag
+ */
+function addLanguage(tag) {
+  if (languageList.some(language => language.tag === tag)) return;
+  const uiLanguage = chrome.i18n.getUILanguage();
+  languageList.push({ tag, name: getLanguageLabel(tag, uiLanguage), seen: false });
+  languageList.sort((a, b) => a.name.localeCompare(b.name, uiLanguage));
+  document.querySelectorAll('.language-select').forEach(fillLanguageSelect);
+}
+
+/**
+ * Show only the languages matching the search field in every language select
+ * (selected ones stay); a valid BCP-47 tag typed in is added to the list
+ */
+function filterLanguageSelects() {
+  const query = document.getElementById('languageSearch').value;
+  const typedTag = toLanguageTag(query);
+  if (typedTag) addLanguage(typedTag);
+
+  const visible = new Set(languageList.filter(language => matchesSearch(language, query)).map(language => language.tag));
+  document.querySelectorAll('.language-select').forEach((select) => {
+    for (const option of select.options) option.hidden = !!option.value && !visible.has(option.value) && !option.selected;
+    select.querySelectorAll('optgroup').forEach((group) => {
+      group.hidden = [...group.children].every(option => option.hidden);
+    });
+  });
+}
+
+/**
+ * Read a language preference from a language select and its variant-match select
+ * @returns {string} e.g. 'pl', 'pt-BR' (this variant only) or 'pt-BR*' (any variant, preferably pt-BR)
+ */
+function readLanguagePreference(select, matchSelect) {
+  const anyVariant = select.value.includes('-') && matchSelect.value === 'any';
+  return select.value + (anyVariant ? '*' : '');
+}
+
+/**
+ * Variant matching only applies to regional or script variants ('pt-BR', not 'pt')
+ */
+function updateVariantMatch(select, matchSelect) {
+  matchSelect.disabled = !select.value.includes('-');
+}
+
+/**
+ * Render the overlay preview and range values from the current form state
+ * Uses the same style builders as the overlay on Netflix
+ */
+function updatePreview() {
+  const appearance = getAppearance(readForm());
+  const previewAppearance = {
+    ...appearance,
+    overlayFontSize: appearance.overlayFontSize * PREVIEW_FONT_SCALE
+  };
+
+  const preview = document.getElementById('overlayPreview');
+  preview.style.cssText = buildOverlayStyle(previewAppearance).join('; ');
+  preview.style.top = appearance.overlayVerticalPosition + '%';
+  preview.querySelectorAll('[data-role]').forEach((line) => {
+    line.style.cssText = buildLineStyle(line.dataset.role, previewAppearance).join('; ');
+  });
+
+  document.querySelectorAll('.range-field output').forEach((output) => {
+    const input = document.getElementById(output.htmlFor.value);
+    output.textContent = input.value + (output.dataset.unit || '');
+  });
+}
+
+/**
+ * Key-capture buttons: click, then press the key combination to bind
+ * Escape cancels, Backspace clears the binding (shortcut off)
+ * A combination already bound elsewhere moves here: the other binding is cleared
+ * Only one button captures at a time: clicking another one cancels the pending capture
+ */
+function setupKeyCaptureButtons() {
+  document.querySelectorAll('.key-capture').forEach((button) => {
+    button.addEventListener('click', () => {
+      cancelKeyCapture();
+      button.classList.add('capturing');
+      button.textContent = chrome.i18n.getMessage('pressKey') || 'Press a key…';
+
+      const onKeydown = (event) => {
+        // Wait for a non-modifier key
+        if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) return;
+        event.preventDefault();
+        document.removeEventListener('keydown', onKeydown, true);
+        activeCapture = null;
+        button.classList.remove('capturing');
+
+        if (event.code === 'Escape') {
+          setKeyCaptureValue(button, button.dataset.combo);
+          return;
+        }
+        const combo = event.code === 'Backspace' ? '' : comboFromEvent(event);
+        releaseKeyCombo(combo, button);
+        setKeyCaptureValue(button, combo);
+      };
+      document.addEventListener('keydown', onKeydown, true);
+      activeCapture = { button, onKeydown };
+    });
+  });
+}
+
+/**
+ * Stop the pending key capture, if any, and show its button's binding again
+ */
+function cancelKeyCapture() {
+  if (!activeCapture) return;
+  const { button, onKeydown } = activeCapture;
+  document.removeEventListener('keydown', onKeydown, true);
+  button.classList.remove('capturing');
+  setKeyCaptureValue(button, button.dataset.combo);
+  activeCapture = null;
+}
+
+/**
+ * Clear a key combination from every other key-capture button using it
+ * @param {string} combo - Key combination being bound
+ * @param {HTMLElement} owner - Button taking the combination
+ */
+function releaseKeyCombo(combo, owner) {
+  if (!combo) return;
+  document.querySelectorAll('.key-capture').forEach((button) => {
+    if (button === owner || button.dataset.combo !== combo) return;
+    setKeyCaptureValue(button, '');
+    const action = button.closest('.key-row')?.querySelector('span')?.textContent || '';
+    showStatus(chrome.i18n.getMessage('shortcutReassigned', [action]) || `Key moved from "${action}"`, 'success');
+  });
+}
+
+/**
+ * Store a key combination on a key-capture button and show its label
+ * @param {HTMLElement} button - Key-capture button
+ * @param {string} combo - Key combination (e.g. 'Shift+KeyQ')
+ */
+function setKeyCaptureValue(button, combo) {
+  button.dataset.combo = combo || '';
+  button.textContent = formatKeyCombo(combo);
+}
+
+/**
+ * Human-readable label for a key combination ('Shift+KeyQ' → 'Shift + Q')
+ * @param {string} combo - Key combination
+ * @returns {string} Label
+ */
+function formatKeyCombo(combo) {
+  if (!combo) return '—';
+  const arrows = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+  return combo.split('+').map((part) => {
+    if (arrows[part]) return arrows[part];
+    return part.replace(/^Key/, '').replace(/^Digit/, '');
+  }).join(' + ');
+}
+
+/**
+ * List imported dictionaries with a delete button each
+ * @returns {Promise<void>}
+ */
+async function renderDictionaryList() {
+  const list = document.getElementById('dictionaryList');
+  try {
+    const dictionaries = await listDictionaries();
+    list.textContent = '';
+
+    if (!dictionaries.length) {
+      const empty = document.createElement('li');
+      empty.className = 'dictionary-meta';
+      empty.textContent = chrome.i18n.getMessage('noDictionaries') || 'No dictionaries imported yet';
+      list.appendChild(empty);
+      return;
+    }
+
+    for (const dictionary of dictionaries) {
+      const item = document.createElement('li');
+
+      const name = document.createElement('span');
+      name.textContent = dictionary.name;
+
+      const meta = document.createElement('span');
+      meta.className = 'dictionary-meta';
+      meta.textContent = [
+        dictionary.language || chrome.i18n.getMessage('anyLanguage') || 'any language',
+        chrome.i18n.getMessage('dictionaryEntryCount', [String(dictionary.entryCount)]) || `${dictionary.entryCount} entries`
+      ].join(' · ');
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn-inline';
+      remove.textContent = chrome.i18n.getMessage('deleteDictionary') || 'Delete';
+      remove.addEventListener('click', async () => {
+        try {
+          await deleteDictionary(dictionary.id);
+          await renderDictionaryList();
+          showStatus(chrome.i18n.getMessage('dictionaryDeleted'), 'success');
+        } catch (err) {
+          console.error('[LinguaFlix Settings] Error deleting dictionary:', err);
+          showStatus(chrome.i18n.getMessage('errorSaving'), 'error');
+        }
+      });
+
+      item.append(name, meta, remove);
+      list.appendChild(item);
+    }
+  } catch (err) {
+    console.error('[LinguaFlix Settings] Error listing dictionaries:', err);
+  }
+}
+
 /**
  * Load settings from chrome.storage.sync
  * @returns {Promise<Object>} Settings object
@@ -117,10 +592,10 @@ async function saveSettings(settings) {
 function showStatus(message, type) {
   const statusEl = document.getElementById('status');
   if (!statusEl) return;
-  
+
   statusEl.textContent = message;
   statusEl.className = `status ${type} show`;
-  
+
   // Hide after 3 seconds
   setTimeout(() => {
     statusEl.classList.remove('show');
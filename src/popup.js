@@ -1,9 +1,14 @@
 /**
  * popup.js
  * 
- * Minimalist popup - just a link to full settings page
+ * Minimalist popup - links to the full settings page and the vocabulary notebook,
+ * plus the overlay language in use, subtitle export and the dialogue density chart
+ * for the title playing in the active Netflix tab (requests are answered by the page
+ * through bridge-relay.js)
  */
 
+import { getLanguageName } from './modules/language-names.js';
+
 document.addEventListener('DOMContentLoaded', () => {
   // Load version dynamically from manifest
   const manifest = chrome.runtime.getManifest();
@@ -20,4 +25,199 @@ document.addEventListener('DOMContentLoaded', () => {
       chrome.runtime.openOptionsPage();
     });
   }
-});
\ No newline at end of file
+
+  const notebookBtn = document.getElementById('notebookBtn');
+
+  if (notebookBtn) {
+    notebookBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: 'notebook.html' });
+    });
+  }
+
+  setupOverlayStatus();
+  setupSubtitleExport();
+  setupDensityProfile();
+});
+
+/**
+ * Ask the active tab which overlay language it shows, and whether it is a fallback
+ * The section stays hidden when the tab isn't a playing Netflix title
+ */
+async function setupOverlayStatus() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id) return;
+
+  let status;
+  try {
+    status = await sendToTab(tab.id, 'getOverlayStatus');
+  } catch (err) {
+    console.debug('[LinguaFlix] Overlay status unavailable:', err.message);
+    return;
+  }
+
+  const note = document.getElementById('overlayStatusNote');
+  if (status.overlayLanguage) {
+    const languages = [status.overlayLanguage, status.secondOverlayLanguage].filter(Boolean);
+    document.getElementById('overlayStatus').textContent =
+      languages.map(language => `${getLanguageName(language)} (${language})`).join(' + ');
+  } else {
+    note.textContent = chrome.i18n.getMessage('overlayUnavailable') ||
+      'None of your overlay languages is available for this title';
+    note.hidden = false;
+  }
+  if (status.audioLanguage) {
+    const audio = getLanguageName(status.audioLanguage);
+    note.textContent = chrome.i18n.getMessage('overlayRoleNote', [audio]) ||
+      `Picked for the ${audio} audio track`;
+    note.hidden = false;
+  }
+  if (status.fallback) {
+    const preferred = getLanguageName(status.preferredLanguage);
+    note.textContent = chrome.i18n.getMessage('overlayFallbackNote', [preferred]) ||
+      `${preferred} isn't available for this title: showing a fallback language`;
+    note.hidden = false;
+  }
+
+  document.getElementById('overlaySection').hidden = false;
+}
+
+/**
+ * Ask the active tab for its cached tracks and wire the export form
+ * The section keeps its "open a title" hint when the tab isn't a playing Netflix title
+ */
+async function setupSubtitleExport() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id) return;
+
+  let info;
+  try {
+    info = await sendToTab(tab.id, 'listSubtitleTracks');
+  } catch (err) {
+    console.debug('[LinguaFlix] Subtitle export unavailable:', err.message);
+    return;
+  }
+  if (!info.tracks.length) {
+    document.getElementById('exportHint').textContent =
+      chrome.i18n.getMessage('exportNoTracks') || 'No subtitles loaded yet for this title.';
+    return;
+  }
+
+  document.getElementById('exportHint').hidden = true;
+  document.getElementById('exportForm').hidden = false;
+  document.getElementById('exportTitle').textContent = info.title || info.movieId;
+
+  const trackSelect = document.getElementById('exportTrack');
+  const secondSelect = document.getElementById('exportSecondTrack');
+  const formatSelect = document.getElementById('exportFormat');
+  for (const track of info.tracks) {
+    const label = `${getLanguageName(track.language, chrome.i18n.getUILanguage())} (${track.language}) · ${track.cueCount}`;
+    trackSelect.add(new Option(label, track.language));
+    secondSelect.add(new Option(label, track.language));
+  }
+  if (info.tracks.length > 1) secondSelect.selectedIndex = 1;
+
+  // Bilingual export needs a second track
+  const bilingualOption = formatSelect.querySelector('option[value="bilingual-srt"]');
+  bilingualOption.disabled = info.tracks.length < 2;
+  formatSelect.addEventListener('change', () => {
+    document.getElementById('secondTrackRow').hidden = formatSelect.value !== 'bilingual-srt';
+  });
+
+  document.getElementById('exportBtn').addEventListener('click', async () => {
+    try {
+      const file = await sendToTab(tab.id, 'exportSubtitles', {
+        language: trackSelect.value,
+        format: formatSelect.value,
+        secondLanguage: secondSelect.value
+      });
+      downloadFile(file);
+    } catch (err) {
+      console.error('[LinguaFlix] Subtitle export failed:', err);
+      document.getElementById('exportHint').hidden = false;
+      document.getElementById('exportHint').textContent = err.message;
+    }
+  });
+}
+
+/**
+ * Ask the active tab for the dialogue density of its title and draw it:
+ * one bar per minute, red where it is faster than the adaptive speed threshold
+ * The section stays hidden when the tab isn't a playing Netflix title
+ */
+async function setupDensityProfile() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id) return;
+
+  let profile;
+  try {
+    profile = await sendToTab(tab.id, 'getDensityProfile');
+  } catch (err) {
+    console.debug('[LinguaFlix] Density profile unavailable:', err.message);
+    return;
+  }
+  const spoken = profile.buckets.filter(bucket => bucket.cueCount > 0);
+  if (!spoken.length) return;
+
+  const chart = document.getElementById('densityChart');
+  const scale = Math.max(profile.maxCps * 1.5, ...spoken.map(bucket => bucket.cps));
+  for (const bucket of profile.buckets) {
+    const bar = document.createElement('div');
+    bar.className = 'density-bar' + (bucket.cps > profile.maxCps ? ' dense' : '');
+    bar.style.height = (bucket.cps / scale * 100) + '%';
+    bar.title = `${formatMinutes(bucket.start)} · ${bucket.cps.toFixed(1)}`;
+    chart.appendChild(bar);
+  }
+
+  const threshold = document.createElement('div');
+  threshold.className = 'density-threshold';
+  threshold.style.bottom = (profile.maxCps / scale * 100) + '%';
+  chart.appendChild(threshold);
+
+  // Minutes weighted by how many lines they hold
+  const cueCount = spoken.reduce((sum, bucket) => sum + bucket.cueCount, 0);
+  const average = spoken.reduce((sum, bucket) => sum + bucket.cps * bucket.cueCount, 0) / cueCount;
+  const denseCount = spoken.filter(bucket => bucket.cps > profile.maxCps).length;
+  const summary = chrome.i18n.getMessage('densitySummary', [
+    average.toFixed(1), String(denseCount), String(profile.buckets.length), String(profile.maxCps)
+  ]) || `Average ${average.toFixed(1)} chars/s · ${denseCount} of ${profile.buckets.length} min above ${profile.maxCps} chars/s`;
+
+  chart.setAttribute('aria-label', summary);
+  document.getElementById('densitySummary').textContent = summary;
+  document.getElementById('densitySection').hidden = false;
+}
+
+/**
+ * Send a request to the content scripts of a tab
+ * @param {number} tabId - Tab id
+ * @param {string} type - Request type (see PAGE_REQUEST_TYPES in bridge-relay.js)
+ * @param {Object} payload - Request data
+ * @returns {Promise<any>} Result; rejects when the page can't answer
+ */
+async function sendToTab(tabId, type, payload = {}) {
+  const response = await chrome.tabs.sendMessage(tabId, { type, payload });
+  if (!response?.ok) throw new Error(response?.error || 'No answer from the page');
+  return response.result;
+}
+
+/**
+ * Save text content as a file
+ * @param {{filename: string, content: string, mimeType: string}} file
+ */
+function downloadFile({ filename, content, mimeType }) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType + ';charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Format a position as minutes:seconds (e.g. 12:00)
+ * @param {number} ms - Position in milliseconds
+ * @returns {string}
+ */
+function formatMinutes(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
@@ -4,19 +4,63 @@
  * Runs in ISOLATED world (has access to chrome.storage)
  * Loads settings and injects them into DOM for MAIN world script to read
  * Uses data-attribute approach to avoid CSP violations
+ * Defaults come from modules/default-settings.js (dynamic import: content scripts are not modules)
  */
 
+// Locale strings needed by MAIN world modules (chrome.i18n is not available there)
+const PAGE_MESSAGE_KEYS = [
+  'wordPopupCopyWord',
+  'wordPopupCopyLine',
+  'wordPopupCopied',
+  'wordPopupLookingUp',
+  'wordPopupNoResults',
+  'wordPopupLookupFailed',
+  'saveLine',
+  'saveLineTitle',
+  'savedToNotebook',
+  'saveLineFailed',
+  'nothingToSave',
+  'loopStarted',
+  'loopStopped',
+  'nothingToLoop',
+  'silenceSkipped',
+  'nothingToUndo',
+  'overlayFallbackInUse',
+  'overlayUnavailable',
+  'overlaySwitchedForAudio',
+  'transcriptTitle',
+  'transcriptToggle',
+  'transcriptSearch',
+  'transcriptPrevious',
+  'transcriptNext',
+  'transcriptNoMatches',
+  'transcriptEmpty'
+];
+
+function collectPageMessages() {
+  const messages = {};
+  for (const key of PAGE_MESSAGE_KEYS) {
+    const message = chrome.i18n.getMessage(key);
+    if (message) messages[key] = message;
+  }
+  return JSON.stringify(messages);
+}
+
 (async () => {
+  let defaults = {}; // settings.js fills in its defaults when the import fails
   try {
+    ({ DEFAULT_SETTINGS: defaults } = await import(chrome.runtime.getURL('modules/default-settings.js')));
+
     // Load settings from chrome.storage.sync
     const settings = await new Promise((resolve) => {
-      chrome.storage.sync.get({ 
-        overlayLanguage: 'pl',
-        preferClosedCaptions: false
-      }, (result) => {
+      chrome.storage.sync.get(defaults, (result) => {
         resolve(result);
       });
     });
+
+    // Dragged overlay positions live in chrome.storage.local (device-specific)
+    const { overlayPositions = {} } = await chrome.storage.local.get('overlayPositions');
+    settings.overlayPositions = overlayPositions;
     
     console.log('[LinguaFlix] Settings loaded from chrome.storage:', settings);
     
@@ -24,6 +68,7 @@
     const settingsEl = document.createElement('div');
     settingsEl.id = 'linguaflix-settings';
     settingsEl.dataset.settings = JSON.stringify(settings);
+    settingsEl.dataset.messages = collectPageMessages();
     settingsEl.style.display = 'none';
     document.documentElement.appendChild(settingsEl);
     
@@ -33,7 +78,8 @@
     // Inject defaults on error
     const settingsEl = document.createElement('div');
     settingsEl.id = 'linguaflix-settings';
-    settingsEl.dataset.settings = JSON.stringify({ overlayLanguage: 'pl', preferClosedCaptions: false });
+    settingsEl.dataset.settings = JSON.stringify(defaults);
+    settingsEl.dataset.messages = collectPageMessages();
     settingsEl.style.display = 'none';
     document.documentElement.appendChild(settingsEl);
   }